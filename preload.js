@@ -18,4 +18,26 @@ contextBridge.exposeInMainWorld("electronAPI", {
 	// For renderer to send requests/invocations to main
 	rendererReady: () => ipcRenderer.send("renderer-ready"),
 	refreshPrinters: () => ipcRenderer.invoke("rediscover-printers"), // Changed from 'rediscover-printers' to 'refreshPrinters' for consistency with renderer code. Handler in main is 'rediscover-printers'
+
+	// API keys and network access for the HTTP API
+	getApiAccess: () => ipcRenderer.invoke("get-api-access"),
+	createApiKey: (input) => ipcRenderer.invoke("create-api-key", input),
+	revokeApiKey: (keyId) => ipcRenderer.invoke("revoke-api-key", keyId),
+	setApiAccess: (input) => ipcRenderer.invoke("set-api-access", input),
+
+	// Paper and driver defaults per printer
+	getPrinterSettings: (printerId) =>
+		ipcRenderer.invoke("get-printer-settings", printerId),
+	setPrinterSettings: (printerId, input) =>
+		ipcRenderer.invoke("set-printer-settings", printerId, input),
+
+	// HTTPS listener and its certificate
+	getApiTls: () => ipcRenderer.invoke("get-api-tls"),
+	setApiTls: (input) => ipcRenderer.invoke("set-api-tls", input),
+	exportApiCertificate: () => ipcRenderer.invoke("export-api-certificate"),
+
+	// Where VIRTUAL printers archive their PDFs
+	getPdfArchive: () => ipcRenderer.invoke("get-pdf-archive"),
+	setPdfArchive: (input) => ipcRenderer.invoke("set-pdf-archive", input),
+	choosePdfArchiveDir: () => ipcRenderer.invoke("choose-pdf-archive-dir"),
 });
@@ -92,18 +92,41 @@ function updatePrinterList(printers) {
 				else statusClass = "status-testing";
 		}
 
-		li.innerHTML = `
-            <div class="details">
-                <strong>${printer.name} ${
+		// Printer names and ids come from the API and the OS, so the item is built with
+		// textContent rather than innerHTML
+		const details = document.createElement("div");
+		details.classList.add("details");
+		const name = document.createElement("strong");
+		name.textContent = `${printer.name} ${
 			printer.isVirtual ? "(Virtual)" : ""
-		}</strong> (ID: ${printer.id})<br>
-                Type: ${printer.connectionType} ${
-			printer.isVirtual ? "- Virtual" : ""
+		}${printer.isManual ? "(Manual)" : ""}`;
+		details.append(
+			name,
+			` (ID: ${printer.id})`,
+			document.createElement("br"),
+			`Type: ${printer.connectionType} ${printer.isVirtual ? "- Virtual" : ""}`
+		);
+
+		// Paper / cover / drawer flags from DLE EOT polling (raw USB and LAN printers only)
+		if (printer.hardwareSummary) {
+			const hardwareClass =
+				printer.hardwareSummary === "OK"
+					? "hardware-ok"
+					: printer.hardwareStatus?.error
+					? "hardware-unknown"
+					: "hardware-problem";
+			const hardware = document.createElement("span");
+			hardware.classList.add("hardware-status", hardwareClass);
+			hardware.title = printer.hardwareStatus?.error || "";
+			hardware.textContent = `Hardware: ${printer.hardwareSummary}`;
+			details.append(document.createElement("br"), hardware);
 		}
-            </div>
-            <span class="status ${statusClass}">${
-			printer.status || "Unknown"
-		}</span>`;
+
+		const status = document.createElement("span");
+		status.classList.add("status");
+		if (statusClass) status.classList.add(statusClass);
+		status.textContent = printer.status || "Unknown";
+		li.append(details, status);
 		printerListUl.appendChild(li);
 	});
 }
@@ -126,6 +149,364 @@ refreshButton.addEventListener("click", () => {
 		});
 });
 
+// --- Printer Settings (paper and driver defaults, stored per printer by the bridge) ---
+const printerSettingsForm = document.getElementById("printerSettingsForm");
+const settingsPrinterSelect = document.getElementById("settingsPrinter");
+const settingsPaperProfileSelect = document.getElementById(
+	"settingsPaperProfile"
+);
+const settingsPaperFontSelect = document.getElementById("settingsPaperFont");
+const settingsDriverTypeSelect = document.getElementById("settingsDriverType");
+const settingsCharacterSetSelect = document.getElementById(
+	"settingsCharacterSet"
+);
+const settingsDensityInput = document.getElementById("settingsDensity");
+const settingsTimeoutInput = document.getElementById("settingsTimeout");
+const settingsInitialAlignSelect = document.getElementById(
+	"settingsInitialAlign"
+);
+const settingsAutoCutInput = document.getElementById("settingsAutoCut");
+const settingsBeepInput = document.getElementById("settingsBeep");
+const settingsOutputSelect = document.getElementById("settingsOutput");
+const settingsBackupsInput = document.getElementById("settingsBackups");
+let loadedPrinterSettings = {};
+
+// "" means "not set": the bridge default, or whatever the POS sends per request
+function fillSelect(select, values, defaultLabel) {
+	select.innerHTML = "";
+	[["", defaultLabel], ...values.map((value) => [value, value])].forEach(
+		([value, label]) => {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = label;
+			select.appendChild(option);
+		}
+	);
+}
+
+function loadPrinterSettingsForm(printerId) {
+	if (!printerId) return;
+	window.electronAPI
+		.getPrinterSettings(printerId)
+		.then(({ settings, choices }) => {
+			loadedPrinterSettings = settings;
+			fillSelect(
+				settingsPaperProfileSelect,
+				choices.paperProfiles,
+				"Default (80MM_512)"
+			);
+			fillSelect(
+				settingsDriverTypeSelect,
+				choices.driverTypes,
+				"Default (EPSON)"
+			);
+			fillSelect(settingsCharacterSetSelect, choices.characterSets, "Default");
+			fillSelect(settingsOutputSelect, choices.outputModes, "Default (print)");
+			const paper =
+				typeof settings.paper === "string"
+					? { profile: settings.paper }
+					: settings.paper || {};
+			settingsPaperProfileSelect.value = (paper.profile || "").toUpperCase();
+			settingsPaperFontSelect.value = (paper.font || "A").toUpperCase();
+			settingsDriverTypeSelect.value = settings.driverType || "";
+			settingsCharacterSetSelect.value = settings.characterSet || "";
+			settingsDensityInput.value = settings.density ?? "";
+			settingsTimeoutInput.value = settings.timeout ?? "";
+			settingsInitialAlignSelect.value = settings.initialAlign || "";
+			settingsAutoCutInput.checked = settings.autoCut !== false;
+			settingsBeepInput.checked = settings.beep === true;
+			settingsOutputSelect.value = settings.output || "";
+			settingsBackupsInput.value = (settings.backups || []).join(", ");
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not load printer settings: ${err.message}`;
+		});
+}
+
+function updateSettingsPrinterChoices(printers) {
+	const selectedId = settingsPrinterSelect.value;
+	settingsPrinterSelect.innerHTML = "";
+	(printers || []).forEach((printer) => {
+		const option = document.createElement("option");
+		option.value = printer.id;
+		option.textContent = `${printer.name} (${printer.connectionType})`;
+		settingsPrinterSelect.appendChild(option);
+	});
+	if (selectedId && printers?.some((printer) => printer.id === selectedId))
+		settingsPrinterSelect.value = selectedId;
+	else loadPrinterSettingsForm(settingsPrinterSelect.value);
+}
+
+settingsPrinterSelect.addEventListener("change", () =>
+	loadPrinterSettingsForm(settingsPrinterSelect.value)
+);
+
+printerSettingsForm.addEventListener("submit", (event) => {
+	event.preventDefault();
+	const printerId = settingsPrinterSelect.value;
+	if (!printerId) return;
+	const profile = settingsPaperProfileSelect.value;
+	const font = settingsPaperFontSelect.value;
+	// Keep custom fields (margins, charsPerLine) of a paper object set through the API
+	const storedPaper =
+		typeof loadedPrinterSettings.paper === "object"
+			? loadedPrinterSettings.paper
+			: {};
+	const paper =
+		Object.keys(storedPaper).length === 0 && font === "A"
+			? profile || null
+			: { ...storedPaper, profile: profile || undefined, font };
+	const numberOrNull = (input) =>
+		input.value === "" ? null : Number(input.value);
+	const backups = settingsBackupsInput.value
+		.split(",")
+		.map((ref) => ref.trim())
+		.filter(Boolean);
+	window.electronAPI
+		.setPrinterSettings(printerId, {
+			paper,
+			driverType: settingsDriverTypeSelect.value || null,
+			characterSet: settingsCharacterSetSelect.value || null,
+			density: numberOrNull(settingsDensityInput),
+			timeout: numberOrNull(settingsTimeoutInput),
+			initialAlign: settingsInitialAlignSelect.value || null,
+			autoCut: settingsAutoCutInput.checked ? null : false, // Cutting is the default
+			beep: settingsBeepInput.checked ? true : null,
+			output: settingsOutputSelect.value || null,
+			backups: backups.length > 0 ? backups : null,
+		})
+		.then(({ settings }) => {
+			loadedPrinterSettings = settings;
+			statusMessageEl.textContent = "✔️ Printer settings saved.";
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not save printer settings: ${err.message}`;
+		});
+});
+
+// --- API Access (keys, allowed origins, localhost only) ---
+const apiAuthNoticeEl = document.getElementById("apiAuthNotice");
+const apiKeyListUl = document.getElementById("apiKeyList");
+const apiKeyForm = document.getElementById("apiKeyForm");
+const apiKeyNameInput = document.getElementById("apiKeyName");
+const newApiKeyEl = document.getElementById("newApiKey");
+const newApiKeyValueInput = document.getElementById("newApiKeyValue");
+const apiAccessForm = document.getElementById("apiAccessForm");
+const allowedOriginsInput = document.getElementById("allowedOrigins");
+const localOnlyInput = document.getElementById("localOnly");
+
+// Key names are typed by staff, so this list is built with textContent rather than innerHTML
+function updateApiAccess(access) {
+	apiAuthNoticeEl.textContent = access.authEnabled
+		? "🔒 Every API request needs one of the keys below."
+		: "⚠️ No API keys issued: only apps on this computer can use the API. Issue a key to let other devices print.";
+	apiAuthNoticeEl.classList.toggle("api-auth-open", !access.authEnabled);
+
+	apiKeyListUl.innerHTML = "";
+	access.keys.forEach((apiKey) => {
+		const li = document.createElement("li");
+		const details = document.createElement("div");
+		details.classList.add("details");
+		const name = document.createElement("strong");
+		name.textContent = apiKey.name;
+		const info = document.createElement("span");
+		info.textContent = `${apiKey.prefix}… · ${apiKey.scopes.join(
+			", "
+		)} · issued ${new Date(apiKey.createdAt).toLocaleString()}`;
+		details.append(name, info);
+
+		const revokeButton = document.createElement("button");
+		revokeButton.textContent = "Revoke";
+		revokeButton.addEventListener("click", () => {
+			if (
+				!confirm(
+					`Revoke API key '${apiKey.name}'? POS clients using it stop working.`
+				)
+			)
+				return;
+			window.electronAPI
+				.revokeApiKey(apiKey.id)
+				.then(updateApiAccess)
+				.catch((err) => {
+					statusMessageEl.textContent = `❌ Could not revoke key: ${err.message}`;
+				});
+		});
+		li.append(details, revokeButton);
+		apiKeyListUl.appendChild(li);
+	});
+
+	allowedOriginsInput.value = access.allowedOrigins.join("\n");
+	localOnlyInput.checked = access.localOnly;
+}
+
+apiKeyForm.addEventListener("submit", (event) => {
+	event.preventDefault();
+	const scopes = [
+		...apiKeyForm.querySelectorAll("input[name='scope']:checked"),
+	].map((input) => input.value);
+	window.electronAPI
+		.createApiKey({ name: apiKeyNameInput.value, scopes })
+		.then(({ created, access }) => {
+			apiKeyNameInput.value = "";
+			newApiKeyValueInput.value = created.key;
+			newApiKeyEl.hidden = false;
+			newApiKeyValueInput.select();
+			updateApiAccess(access);
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not issue key: ${err.message}`;
+		});
+});
+
+apiAccessForm.addEventListener("submit", (event) => {
+	event.preventDefault();
+	window.electronAPI
+		.setApiAccess({
+			allowedOrigins: allowedOriginsInput.value,
+			localOnly: localOnlyInput.checked,
+		})
+		.then((access) => {
+			updateApiAccess(access);
+			statusMessageEl.textContent = "✔️ API access settings saved.";
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not save access settings: ${err.message}`;
+		});
+});
+
+if (
+	window.electronAPI &&
+	typeof window.electronAPI.getApiAccess === "function"
+) {
+	window.electronAPI
+		.getApiAccess()
+		.then(updateApiAccess)
+		.catch((err) => console.error("Loading API access settings failed:", err));
+}
+
+// --- HTTPS (listener mode, certificate names, certificate export) ---
+const apiTlsForm = document.getElementById("apiTlsForm");
+const apiTlsModeSelect = document.getElementById("apiTlsMode");
+const apiHttpsPortInput = document.getElementById("apiHttpsPort");
+const apiTlsHostnameInput = document.getElementById("apiTlsHostname");
+const apiTlsAltNamesInput = document.getElementById("apiTlsAltNames");
+const apiTlsCertFileInput = document.getElementById("apiTlsCertFile");
+const apiTlsKeyFileInput = document.getElementById("apiTlsKeyFile");
+const apiCertificateInfoEl = document.getElementById("apiCertificateInfo");
+const exportCertificateButton = document.getElementById(
+	"exportCertificateButton"
+);
+
+function updateApiTls(apiTls) {
+	apiTlsModeSelect.value = apiTls.mode;
+	apiHttpsPortInput.value = apiTls.httpsPort;
+	apiTlsHostnameInput.value = apiTls.hostname;
+	apiTlsHostnameInput.placeholder = apiTls.effectiveHostname;
+	apiTlsAltNamesInput.value = apiTls.subjectAltNames.join("\n");
+	apiTlsCertFileInput.value = apiTls.certFile;
+	apiTlsKeyFileInput.value = apiTls.keyFile;
+
+	const certificate = apiTls.certificate;
+	apiCertificateInfoEl.textContent = certificate
+		? `${
+				certificate.source === "custom" ? "Own" : "Generated"
+		  } certificate for ${certificate.subjectAltName}, valid until ${new Date(
+				certificate.validTo
+		  ).toLocaleDateString()}. SHA-256: ${certificate.fingerprint256}`
+		: `LAN addresses: ${apiTls.lanAddresses.join(", ") || "none"}`;
+
+	const urls = [];
+	if (apiTls.mode !== "https") urls.push(`http://localhost:${apiTls.httpPort}`);
+	if (apiTls.mode !== "http")
+		urls.push(`https://${apiTls.effectiveHostname}:${apiTls.httpsPort}`);
+	if (apiUrlEl) apiUrlEl.textContent = urls.join(" and ");
+}
+
+apiTlsForm.addEventListener("submit", (event) => {
+	event.preventDefault();
+	statusMessageEl.textContent =
+		"⏳ Saving HTTPS settings and restarting the API server...";
+	window.electronAPI
+		.setApiTls({
+			mode: apiTlsModeSelect.value,
+			httpsPort: apiHttpsPortInput.value,
+			hostname: apiTlsHostnameInput.value,
+			subjectAltNames: apiTlsAltNamesInput.value,
+			certFile: apiTlsCertFileInput.value,
+			keyFile: apiTlsKeyFileInput.value,
+		})
+		.then(updateApiTls)
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not save HTTPS settings: ${err.message}`;
+		});
+});
+
+exportCertificateButton.addEventListener("click", () => {
+	window.electronAPI
+		.exportApiCertificate()
+		.then((filePath) => {
+			if (filePath)
+				statusMessageEl.textContent = `✔️ Certificate saved to ${filePath}. Install it as a trusted certificate on each POS device.`;
+			return window.electronAPI.getApiTls().then(updateApiTls);
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not export certificate: ${err.message}`;
+		});
+});
+
+if (window.electronAPI && typeof window.electronAPI.getApiTls === "function") {
+	window.electronAPI
+		.getApiTls()
+		.then(updateApiTls)
+		.catch((err) => console.error("Loading HTTPS settings failed:", err));
+}
+
+// --- PDF archive folder for virtual printers ---
+const pdfArchiveForm = document.getElementById("pdfArchiveForm");
+const pdfArchiveDirInput = document.getElementById("pdfArchiveDir");
+const choosePdfArchiveDirButton = document.getElementById(
+	"choosePdfArchiveDirButton"
+);
+
+function updatePdfArchive(pdfArchive) {
+	pdfArchiveDirInput.value = pdfArchive.dir;
+	pdfArchiveDirInput.placeholder = pdfArchive.effectiveDir;
+}
+
+pdfArchiveForm.addEventListener("submit", (event) => {
+	event.preventDefault();
+	window.electronAPI
+		.setPdfArchive({ dir: pdfArchiveDirInput.value })
+		.then((pdfArchive) => {
+			updatePdfArchive(pdfArchive);
+			statusMessageEl.textContent = `✔️ PDFs will be saved to ${pdfArchive.effectiveDir}.`;
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not save PDF archive folder: ${err.message}`;
+		});
+});
+
+choosePdfArchiveDirButton.addEventListener("click", () => {
+	window.electronAPI
+		.choosePdfArchiveDir()
+		.then((dir) => {
+			if (dir) pdfArchiveDirInput.value = dir;
+		})
+		.catch((err) => {
+			statusMessageEl.textContent = `❌ Could not open folder picker: ${err.message}`;
+		});
+});
+
+if (
+	window.electronAPI &&
+	typeof window.electronAPI.getPdfArchive === "function"
+) {
+	window.electronAPI
+		.getPdfArchive()
+		.then(updatePdfArchive)
+		.catch((err) => console.error("Loading PDF archive settings failed:", err));
+}
+
 // --- Listener Setup and Cleanup ---
 let cleanupPrintersUpdatedListener = () => {};
 let cleanupPrintersStatusUpdateListener = () => {};
@@ -138,6 +519,7 @@ if (
 		(printers) => {
 			console.log("Renderer received 'printers-updated':", printers);
 			updatePrinterList(printers);
+			updateSettingsPrinterChoices(printers);
 		}
 	);
 } else {
@@ -0,0 +1,247 @@
+// src/api-auth.js
+import crypto from "crypto";
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+
+// Who may call the bridge HTTP API. Stored in userData/api-security.json as
+//   { keys: [{ id, name, scopes, prefix, hash, createdAt }], allowedOrigins: [...], localOnly }
+// Only a SHA-256 hash of each key is kept; the key itself is shown once, when it is issued.
+// Until the first key is issued requests need no key, so a POS on the same computer keeps
+// printing after an update; the API is then only reachable from this computer (it listens
+// on localhost and refuses other addresses), never open to the LAN. From then on every
+// /api/* request needs a key with the route's scope.
+const SECURITY_FILE = "api-security.json";
+const KEY_PREFIX = "pbk_";
+
+export const API_SCOPES = {
+	read: "List printers, settings, roles, templates, jobs and events",
+	print: "Print, preview and follow print jobs",
+	admin:
+		"Change printers, settings, roles and KOT routing (implies every scope)",
+};
+
+let security = { keys: [], allowedOrigins: ["*"], localOnly: false };
+
+function authError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest();
+const toPublicKey = ({ hash, ...key }) => key;
+
+async function saveApiSecurity() {
+	await writeJsonConfig(SECURITY_FILE, security);
+}
+
+export async function loadApiSecurity() {
+	const stored = await readJsonConfig(SECURITY_FILE, {});
+	security = {
+		keys: Array.isArray(stored?.keys) ? stored.keys : [],
+		allowedOrigins: Array.isArray(stored?.allowedOrigins)
+			? stored.allowedOrigins
+			: ["*"],
+		localOnly: stored?.localOnly === true,
+	};
+	console.log(
+		`API_AUTH: Loaded ${security.keys.length} API key(s); origins: ${
+			security.allowedOrigins.join(", ") || "(none)"
+		}; ${
+			getApiBindAddress() === "0.0.0.0" ? "all interfaces" : "localhost only"
+		}.`
+	);
+	if (security.keys.length === 0)
+		console.warn(
+			"API_AUTH: No API keys issued yet, the HTTP API only accepts requests from this computer."
+		);
+	return getApiAccessSettings();
+}
+
+export function isApiAuthEnabled() {
+	return security.keys.length > 0;
+}
+
+export function listApiKeys() {
+	return security.keys.map(toPublicKey);
+}
+
+function normalizeScopes(scopes) {
+	const list = [
+		...new Set(
+			(Array.isArray(scopes) ? scopes : String(scopes || "").split(","))
+				.map((scope) => String(scope).trim().toLowerCase())
+				.filter(Boolean)
+		),
+	];
+	if (list.length === 0) throw authError("At least one scope is required.");
+	const unknown = list.filter((scope) => !API_SCOPES[scope]);
+	if (unknown.length > 0)
+		throw authError(
+			`Unknown scope(s): ${unknown.join(", ")}. Use: ${Object.keys(
+				API_SCOPES
+			).join(", ")}.`
+		);
+	return list;
+}
+
+// Returns the public record plus `key`; this is the only time the key can be read back
+export async function createApiKey({ name, scopes } = {}) {
+	const label = String(name || "").trim();
+	if (!label) throw authError("API key 'name' is required.");
+	const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+	const record = {
+		id: crypto.randomUUID(),
+		name: label,
+		scopes: normalizeScopes(scopes),
+		prefix: key.slice(0, KEY_PREFIX.length + 4), // Lets the UI tell keys apart
+		hash: hashKey(key).toString("hex"),
+		createdAt: new Date().toISOString(),
+	};
+	security.keys.push(record);
+	await saveApiSecurity();
+	console.log(
+		`API_AUTH: Issued key '${record.name}' (${record.scopes.join(", ")}).`
+	);
+	return { ...toPublicKey(record), key };
+}
+
+export async function revokeApiKey(keyId) {
+	const record = security.keys.find((key) => key.id === keyId);
+	if (!record) return false;
+	security.keys = security.keys.filter((key) => key !== record);
+	await saveApiSecurity();
+	console.log(`API_AUTH: Revoked key '${record.name}'.`);
+	return true;
+}
+
+function findApiKey(key) {
+	const hash = hashKey(key);
+	return security.keys.find((record) =>
+		crypto.timingSafeEqual(Buffer.from(record.hash, "hex"), hash)
+	);
+}
+
+// "*" or exact origins such as "http://192.168.1.20:5173" (scheme, host and port, no path)
+function normalizeOrigins(origins) {
+	const list = Array.isArray(origins)
+		? origins
+		: String(origins || "").split(/[\s,]+/);
+	return [
+		...new Set(
+			list
+				.map((origin) => String(origin).trim())
+				.filter(Boolean)
+				.map((origin) => {
+					if (origin === "*") return origin;
+					let url;
+					try {
+						url = new URL(origin);
+					} catch (urlError) {
+						throw authError(`Invalid origin '${origin}'.`);
+					}
+					if (url.protocol !== "http:" && url.protocol !== "https:")
+						throw authError(`Origin '${origin}' must be http or https.`);
+					return url.origin;
+				})
+		),
+	];
+}
+
+// Keyless access is never offered to the network
+export function getApiBindAddress() {
+	return security.localOnly || !isApiAuthEnabled() ? "127.0.0.1" : "0.0.0.0";
+}
+
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+export function getApiAccessSettings() {
+	return {
+		allowedOrigins: [...security.allowedOrigins],
+		localOnly: security.localOnly,
+		bindAddress: getApiBindAddress(),
+		authEnabled: isApiAuthEnabled(),
+	};
+}
+
+// Origins apply at once; a localOnly change needs the API server restarted (electron-main does it)
+export async function setApiAccessSettings({ allowedOrigins, localOnly } = {}) {
+	if (allowedOrigins !== undefined)
+		security.allowedOrigins = normalizeOrigins(allowedOrigins);
+	if (localOnly !== undefined) security.localOnly = localOnly === true;
+	await saveApiSecurity();
+	console.log(
+		`API_AUTH: Access settings updated; origins: ${
+			security.allowedOrigins.join(", ") || "(none)"
+		}; ${
+			getApiBindAddress() === "0.0.0.0" ? "all interfaces" : "localhost only"
+		}.`
+	);
+	return getApiAccessSettings();
+}
+
+// Requests without an Origin header come from POS apps and scripts, not browsers
+export function isOriginAllowed(origin) {
+	if (!origin) return true;
+	return (
+		security.allowedOrigins.includes("*") ||
+		security.allowedOrigins.includes(origin)
+	);
+}
+
+// Middleware for /api. Browsers send some cross-origin requests (plain form posts) without
+// a CORS preflight, so a disallowed Origin is refused here rather than only left without
+// CORS headers. The key comes from "Authorization: Bearer <key>" or "X-API-Key"; EventSource
+// cannot set headers, so GET /api/events also accepts ?api_key=.
+export function authenticateApiRequest(req, res, next) {
+	const origin = req.get("Origin");
+	if (!isOriginAllowed(origin))
+		return res
+			.status(403)
+			.json({ error: `Origin '${origin}' is not allowed.` });
+	if (!isApiAuthEnabled()) {
+		// The listener may still be on all interfaces until electron-main restarts it
+		if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) return next();
+		return res.status(403).json({
+			error:
+				"No API keys are issued yet, so only this computer may use the API.",
+		});
+	}
+
+	const key =
+		/^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "")?.[1] ||
+		req.get("X-API-Key") ||
+		(req.method === "GET" && req.path === "/events"
+			? req.query.api_key
+			: undefined);
+	if (!key)
+		return res
+			.status(401)
+			.set("WWW-Authenticate", "Bearer")
+			.json({ error: "API key required." });
+	const record = findApiKey(String(key));
+	if (!record)
+		return res
+			.status(401)
+			.set("WWW-Authenticate", "Bearer")
+			.json({ error: "Invalid or revoked API key." });
+	req.apiKey = toPublicKey(record);
+	next();
+}
+
+// Route guard: the key needs one of `scopes`; admin keys pass every guard
+export function requireScope(...scopes) {
+	return (req, res, next) => {
+		if (!isApiAuthEnabled()) return next();
+		const granted = req.apiKey?.scopes || [];
+		if (
+			granted.includes("admin") ||
+			scopes.some((scope) => granted.includes(scope))
+		)
+			return next();
+		res.status(403).json({
+			error: `API key '${
+				req.apiKey?.name || "(none)"
+			}' lacks the '${scopes.join("' or '")}' scope.`,
+		});
+	};
+}
@@ -0,0 +1,281 @@
+// src/api-tls.js
+import crypto from "crypto";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import tls from "tls";
+import selfsigned from "selfsigned";
+import {
+	getConfigPath,
+	readJsonConfig,
+	writeJsonConfig,
+} from "./config-store.js";
+
+// HTTPS for the bridge API, so POS pages served over https:// can call it without mixed
+// content errors. Stored in userData/api-tls.json:
+//   { mode: "http" | "https" | "both", httpsPort, hostname, subjectAltNames, certFile, keyFile }
+// Without certFile/keyFile a self-signed certificate is generated into userData/tls/ and
+// reused until it expires or no longer names this machine (hostname, LAN IPs, extra SANs).
+// POS devices trust it by importing the exported .crt (it is its own CA for that reason).
+const TLS_SETTINGS_FILE = "api-tls.json";
+const GENERATED_CERT_FILE = path.join("tls", "bridge-cert.pem");
+const GENERATED_KEY_FILE = path.join("tls", "bridge-key.pem");
+const CERT_VALID_DAYS = 825; // Longest validity Apple devices accept for TLS server certificates
+const CERT_RENEW_DAYS = 30;
+
+export const API_TLS_MODES = ["http", "https", "both"];
+
+const DEFAULT_TLS_SETTINGS = {
+	mode: "http",
+	httpsPort: parseInt(process.env.API_HTTPS_PORT, 10) || 3443,
+	hostname: "", // Empty means os.hostname()
+	subjectAltNames: [],
+	certFile: "",
+	keyFile: "",
+};
+
+let tlsSettings = { ...DEFAULT_TLS_SETTINGS };
+
+function tlsError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+export async function loadApiTlsSettings() {
+	const stored = await readJsonConfig(TLS_SETTINGS_FILE, {});
+	tlsSettings = {
+		...DEFAULT_TLS_SETTINGS,
+		...(stored && typeof stored === "object" && !Array.isArray(stored)
+			? stored
+			: {}),
+	};
+	if (!API_TLS_MODES.includes(tlsSettings.mode)) tlsSettings.mode = "http";
+	console.log(
+		`API_TLS: Mode '${tlsSettings.mode}'${
+			tlsSettings.mode !== "http" ? `, HTTPS port ${tlsSettings.httpsPort}` : ""
+		}.`
+	);
+	return getApiTlsSettings();
+}
+
+export function getApiTlsSettings() {
+	return {
+		...tlsSettings,
+		subjectAltNames: [...tlsSettings.subjectAltNames],
+		effectiveHostname: getCertificateHostname(),
+	};
+}
+
+export function isHttpsEnabled() {
+	return tlsSettings.mode !== "http";
+}
+
+export function isHttpEnabled() {
+	return tlsSettings.mode !== "https";
+}
+
+const isIpAddress = (value) => net.isIP(value) !== 0;
+const isDnsName = (value) =>
+	/^(\*\.)?[a-z\d]([a-z\d-]{0,61}[a-z\d])?(\.[a-z\d]([a-z\d-]{0,61}[a-z\d])?)*$/i.test(
+		value
+	);
+
+// Merges into the stored settings; empty strings reset hostname/certFile/keyFile
+export async function setApiTlsSettings(input = {}) {
+	const next = { ...tlsSettings };
+	if (input.mode !== undefined) {
+		const mode = String(input.mode).toLowerCase();
+		if (!API_TLS_MODES.includes(mode))
+			throw tlsError(`TLS 'mode' must be one of: ${API_TLS_MODES.join(", ")}.`);
+		next.mode = mode;
+	}
+	if (input.httpsPort !== undefined) {
+		const port = parseInt(input.httpsPort, 10);
+		if (!Number.isInteger(port) || port < 1 || port > 65535)
+			throw tlsError("TLS 'httpsPort' must be between 1 and 65535.");
+		next.httpsPort = port;
+	}
+	if (input.hostname !== undefined) {
+		const hostname = String(input.hostname || "").trim();
+		if (hostname && !isDnsName(hostname))
+			throw tlsError(`Invalid hostname '${hostname}'.`);
+		next.hostname = hostname;
+	}
+	if (input.subjectAltNames !== undefined) {
+		const names = Array.isArray(input.subjectAltNames)
+			? input.subjectAltNames
+			: String(input.subjectAltNames || "").split(/[\s,]+/);
+		next.subjectAltNames = [
+			...new Set(names.map((name) => String(name).trim()).filter(Boolean)),
+		];
+		const invalid = next.subjectAltNames.filter(
+			(name) => !isIpAddress(name) && !isDnsName(name)
+		);
+		if (invalid.length > 0)
+			throw tlsError(
+				`Invalid subject alternative name(s): ${invalid.join(", ")}.`
+			);
+	}
+	if (input.certFile !== undefined)
+		next.certFile = String(input.certFile || "").trim();
+	if (input.keyFile !== undefined)
+		next.keyFile = String(input.keyFile || "").trim();
+	if (!!next.certFile !== !!next.keyFile)
+		throw tlsError("Set both 'certFile' and 'keyFile', or neither.");
+	if (next.certFile) await readCustomCredentials(next); // Throws a 400 error when unusable
+
+	tlsSettings = next;
+	await writeJsonConfig(TLS_SETTINGS_FILE, tlsSettings);
+	console.log(`API_TLS: Settings updated (mode '${tlsSettings.mode}').`);
+	return getApiTlsSettings();
+}
+
+function getCertificateHostname(settings = tlsSettings) {
+	return settings.hostname || os.hostname() || "localhost";
+}
+
+export function getLanAddresses() {
+	return Object.values(os.networkInterfaces())
+		.flat()
+		.filter((address) => address && !address.internal)
+		.filter((address) => address.family === "IPv4" || address.family === 4)
+		.map((address) => address.address);
+}
+
+// Every name a POS device may use to reach this machine
+function getRequiredNames(settings = tlsSettings) {
+	const hostname = getCertificateHostname(settings).toLowerCase();
+	const dnsNames = new Set(["localhost", hostname]);
+	if (!hostname.includes(".")) dnsNames.add(`${hostname}.local`); // mDNS name
+	const ips = new Set(["127.0.0.1", ...getLanAddresses()]);
+	for (const name of settings.subjectAltNames) {
+		if (isIpAddress(name)) ips.add(name);
+		else dnsNames.add(name.toLowerCase());
+	}
+	return { dnsNames: [...dnsNames], ips: [...ips] };
+}
+
+function describeCertificate(certPem, source) {
+	const x509 = new crypto.X509Certificate(certPem);
+	return {
+		source,
+		subject: x509.subject,
+		subjectAltName: x509.subjectAltName || "",
+		validFrom: new Date(x509.validFrom).toISOString(),
+		validTo: new Date(x509.validTo).toISOString(),
+		fingerprint256: x509.fingerprint256,
+	};
+}
+
+async function readCustomCredentials(settings) {
+	let cert;
+	let key;
+	try {
+		[cert, key] = await Promise.all([
+			fs.readFile(settings.certFile, "utf8"),
+			fs.readFile(settings.keyFile, "utf8"),
+		]);
+	} catch (readError) {
+		throw tlsError(`Cannot read certificate or key: ${readError.message}`);
+	}
+	try {
+		tls.createSecureContext({ cert, key }); // Fails when the key does not match the certificate
+		return { cert, key, info: describeCertificate(cert, "custom") };
+	} catch (certError) {
+		throw tlsError(`Unusable certificate or key: ${certError.message}`);
+	}
+}
+
+function certificateCoversNames(info, { dnsNames, ips }) {
+	const altNames = info.subjectAltName.split(/,\s*/);
+	return (
+		dnsNames.every((name) => altNames.includes(`DNS:${name}`)) &&
+		ips.every((ip) => altNames.includes(`IP Address:${ip}`))
+	);
+}
+
+function generateCertificate(settings) {
+	const { dnsNames, ips } = getRequiredNames(settings);
+	// Node generates the key natively; forge (inside selfsigned) is slow at that part
+	const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+		modulusLength: 2048,
+		publicKeyEncoding: { type: "spki", format: "pem" },
+		privateKeyEncoding: { type: "pkcs8", format: "pem" },
+	});
+	const pems = selfsigned.generate(
+		[
+			{
+				name: "commonName",
+				value: getCertificateHostname(settings).toLowerCase(),
+			},
+			{ name: "organizationName", value: "POS Print Bridge" },
+		],
+		{
+			keyPair: { publicKey, privateKey },
+			days: CERT_VALID_DAYS,
+			algorithm: "sha256",
+			extensions: [
+				{ name: "basicConstraints", cA: true, critical: true },
+				{
+					name: "keyUsage",
+					digitalSignature: true,
+					keyEncipherment: true,
+					keyCertSign: true,
+					critical: true,
+				},
+				{ name: "extKeyUsage", serverAuth: true },
+				{
+					name: "subjectAltName",
+					altNames: [
+						...dnsNames.map((value) => ({ type: 2, value })),
+						...ips.map((ip) => ({ type: 7, ip })),
+					],
+				},
+			],
+		}
+	);
+	return { cert: pems.cert, key: privateKey };
+}
+
+// { cert, key, info } for the HTTPS listener. Regenerates the self-signed certificate when it
+// is missing, close to expiry, or does not cover the current names (e.g. a new DHCP address).
+export async function ensureApiTlsCredentials({ regenerate = false } = {}) {
+	if (tlsSettings.certFile) return readCustomCredentials(tlsSettings);
+
+	const certPath = getConfigPath(GENERATED_CERT_FILE);
+	const keyPath = getConfigPath(GENERATED_KEY_FILE);
+	if (!regenerate) {
+		try {
+			const [cert, key] = await Promise.all([
+				fs.readFile(certPath, "utf8"),
+				fs.readFile(keyPath, "utf8"),
+			]);
+			const info = describeCertificate(cert, "generated");
+			const renewAt =
+				new Date(info.validTo).getTime() - CERT_RENEW_DAYS * 24 * 3600 * 1000;
+			if (
+				Date.now() < renewAt &&
+				certificateCoversNames(info, getRequiredNames())
+			)
+				return { cert, key, info };
+			console.log(
+				"API_TLS: Certificate expiring or missing names, regenerating."
+			);
+		} catch (readError) {
+			if (readError.code !== "ENOENT")
+				console.error(
+					`API_TLS: Stored certificate unusable, regenerating: ${readError.message}`
+				);
+		}
+	}
+
+	const { cert, key } = generateCertificate(tlsSettings);
+	await fs.mkdir(path.dirname(certPath), { recursive: true });
+	await fs.writeFile(keyPath, key, { encoding: "utf8", mode: 0o600 });
+	await fs.writeFile(certPath, cert, "utf8");
+	const info = describeCertificate(cert, "generated");
+	console.log(`API_TLS: Generated certificate for ${info.subjectAltName}.`);
+	return { cert, key, info };
+}
@@ -0,0 +1,84 @@
+// src/barcode-svg.js
+import bwipjs from "bwip-js"; // Pure JS encoder, works offline
+
+// ESC/POS GS k symbology numbers (as passed in a command's barcodeType) -> bwip-js encoder ids.
+// 0-6 are the legacy "function A" numbers for the same symbologies as 65-71.
+const BARCODE_SYMBOLOGIES = {
+	0: "upca",
+	1: "upce",
+	2: "ean13",
+	3: "ean8",
+	4: "code39",
+	5: "interleaved2of5",
+	6: "rationalizedCodabar",
+	65: "upca",
+	66: "upce",
+	67: "ean13", // JAN13
+	68: "ean8", // JAN8
+	69: "code39",
+	70: "interleaved2of5", // ITF
+	71: "rationalizedCodabar", // NW-7, data includes the A-D start/stop characters
+	72: "code93",
+	73: "code128",
+};
+
+const QR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+
+// Gives the root <svg> an exact pixel size (the HTML renderer maps 1 px to 1 printer dot)
+function sizeSvg(svg, width, height) {
+	return svg.replace(
+		/^<svg /,
+		`<svg width="${Math.round(width)}" height="${Math.round(
+			height
+		)}" preserveAspectRatio="none" shape-rendering="crispEdges" `
+	);
+}
+
+function viewBoxSize(svg) {
+	const [, , w, h] = (svg.match(/viewBox="([^"]+)"/)?.[1] || "0 0 0 0")
+		.split(/\s+/)
+		.map(Number);
+	return { w, h };
+}
+
+// width: module width in dots (GS w, 2-6); height: bar height in dots (GS h, 1-255)
+export function barcodeToSvg(
+	content,
+	{ barcodeType = 73, width, height } = {}
+) {
+	const bcid = BARCODE_SYMBOLOGIES[parseInt(barcodeType, 10)];
+	if (!bcid) throw new Error(`Unsupported barcodeType '${barcodeType}'.`);
+	const moduleDots = Math.min(6, Math.max(1, parseInt(width, 10) || 2));
+	const heightDots = Math.min(255, Math.max(1, parseInt(height, 10) || 50));
+	// scaleX 1 gives one viewBox unit per module for linear symbologies
+	const svg = bwipjs.toSVG({
+		bcid,
+		text: String(content),
+		scaleX: 1,
+		scaleY: 1,
+		height: 10,
+		// node-thermal-printer sends CODE128 in code set B ("{B"); without code set C the
+		// preview has as many modules as the print
+		...(bcid === "code128" ? { newencoder: true, suppressc: true } : {}),
+	});
+	return sizeSvg(svg, viewBoxSize(svg).w * moduleDots, heightDots);
+}
+
+// cellSize: module size in dots (GS ( k function 167, 1-16); correction: L, M, Q or H
+export function qrToSvg(content, { cellSize, correction } = {}) {
+	const moduleDots = Math.min(16, Math.max(1, parseInt(cellSize, 10) || 3));
+	const eclevel = QR_CORRECTION_LEVELS.includes(
+		String(correction).toUpperCase()
+	)
+		? String(correction).toUpperCase()
+		: "M";
+	const svg = bwipjs.toSVG({
+		bcid: "qrcode",
+		text: String(content),
+		eclevel,
+		scale: 1,
+	});
+	// 2D symbols are drawn two viewBox units per module at scale 1
+	const modules = viewBoxSize(svg).w / 2;
+	return sizeSvg(svg, modules * moduleDots, modules * moduleDots);
+}
@@ -0,0 +1,214 @@
+// src/bidi-text.js
+import bidiFactory from "bidi-js";
+
+// Right-to-left text for printers that only print left to right, one glyph per byte.
+// A line is shaped first (Arabic letters take their isolated/initial/medial/final
+// presentation forms, lam + alef becomes one ligature), then put in visual order with the
+// Unicode bidi algorithm, so "Customer : محمد" prints with the name joined and reading
+// right to left. Presentation forms are what Arabic code pages (CP864, CP720) hold.
+// generatePrintBufferNTP and commandsToSimpleHtml both lay lines out through here.
+const bidi = bidiFactory();
+
+const RTL_PATTERN = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc]/; // Hebrew, Arabic, Syriac, Thaana, NKo and presentation forms
+
+// Arabic letter -> first presentation form. Dual-joining letters have four consecutive
+// forms (isolated, final, initial, medial); right-joining letters only the first two.
+const DUAL = "D";
+const RIGHT = "R";
+const ARABIC_FORMS = {
+	ء: [0xfe80, null], // Hamza joins neither side
+	آ: [0xfe81, RIGHT],
+	أ: [0xfe83, RIGHT],
+	ؤ: [0xfe85, RIGHT],
+	إ: [0xfe87, RIGHT],
+	ئ: [0xfe89, DUAL],
+	ا: [0xfe8d, RIGHT],
+	ب: [0xfe8f, DUAL],
+	ة: [0xfe93, RIGHT],
+	ت: [0xfe95, DUAL],
+	ث: [0xfe99, DUAL],
+	ج: [0xfe9d, DUAL],
+	ح: [0xfea1, DUAL],
+	خ: [0xfea5, DUAL],
+	د: [0xfea9, RIGHT],
+	ذ: [0xfeab, RIGHT],
+	ر: [0xfead, RIGHT],
+	ز: [0xfeaf, RIGHT],
+	س: [0xfeb1, DUAL],
+	ش: [0xfeb5, DUAL],
+	ص: [0xfeb9, DUAL],
+	ض: [0xfebd, DUAL],
+	ط: [0xfec1, DUAL],
+	ظ: [0xfec5, DUAL],
+	ع: [0xfec9, DUAL],
+	غ: [0xfecd, DUAL],
+	ـ: [null, DUAL], // Tatweel joins both sides and has no forms of its own
+	ف: [0xfed1, DUAL],
+	ق: [0xfed5, DUAL],
+	ك: [0xfed9, DUAL],
+	ل: [0xfedd, DUAL],
+	م: [0xfee1, DUAL],
+	ن: [0xfee5, DUAL],
+	ه: [0xfee9, DUAL],
+	و: [0xfeed, RIGHT],
+	ى: [0xfeef, RIGHT],
+	ي: [0xfef1, DUAL],
+	پ: [0xfb56, DUAL], // Persian/Urdu letters
+	چ: [0xfb7a, DUAL],
+	ژ: [0xfb8a, RIGHT],
+	ک: [0xfb8e, DUAL],
+	گ: [0xfb92, DUAL],
+	ی: [0xfbfc, DUAL],
+};
+// Lam followed by one of these alefs -> isolated ligature (final form is the next code point)
+const LAM_ALEF = {
+	آ: 0xfef5,
+	أ: 0xfef7,
+	إ: 0xfef9,
+	ا: 0xfefb,
+};
+// Harakat and other marks do not break joining
+const isTransparent = (char) =>
+	/[\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed]/.test(char);
+
+const joiningType = (char) => (char ? ARABIC_FORMS[char]?.[1] ?? null : null);
+
+export function hasRtlText(text) {
+	return RTL_PATTERN.test(String(text ?? ""));
+}
+
+// Returns the shaped characters, each with the index of the character it came from
+function shapeArabic(text) {
+	const chars = [...text];
+	const shaped = [];
+	const neighbour = (from, step) => {
+		for (let i = from + step; i >= 0 && i < chars.length; i += step)
+			if (!isTransparent(chars[i])) return i;
+		return -1;
+	};
+	for (let i = 0; i < chars.length; i++) {
+		const char = chars[i];
+		const forms = ARABIC_FORMS[char];
+		if (!forms || forms[0] === null) {
+			shaped.push({ char, source: i });
+			continue;
+		}
+		const prev = neighbour(i, -1);
+		const next = neighbour(i, 1);
+		const joinsPrev =
+			forms[1] !== null && prev !== -1 && joiningType(chars[prev]) === DUAL;
+		if (char === "ل" && next !== -1 && LAM_ALEF[chars[next]]) {
+			const ligature = LAM_ALEF[chars[next]] + (joinsPrev ? 1 : 0);
+			shaped.push({ char: String.fromCharCode(ligature), source: i });
+			for (let j = i + 1; j < next; j++)
+				shaped.push({ char: chars[j], source: j }); // Marks on the lam
+			i = next;
+			continue;
+		}
+		const joinsNext =
+			forms[1] === DUAL && next !== -1 && joiningType(chars[next]) !== null;
+		let form = 0;
+		if (joinsPrev && joinsNext) form = 3;
+		else if (joinsNext) form = 2;
+		else if (joinsPrev) form = 1;
+		shaped.push({ char: String.fromCharCode(forms[0] + form), source: i });
+	}
+	return shaped;
+}
+
+// segments: [{ text, style }] making up one printed line, in logical (typing) order.
+// Returns { segments, rtl }: the same line shaped and in visual (left to right) order,
+// split where the style changes, and whether the line's base direction is right to left.
+export function toVisualLine(segments) {
+	if (!segments.some((segment) => hasRtlText(segment.text)))
+		return { segments, rtl: false };
+
+	const styles = [];
+	const logical = segments
+		.map((segment, segmentIndex) => {
+			const chars = [...String(segment.text ?? "")];
+			chars.forEach(() => styles.push(segmentIndex));
+			return chars.join("");
+		})
+		.join("");
+	const shaped = shapeArabic(logical);
+	const shapedText = shaped.map((item) => item.char).join("");
+	const embeddingLevels = bidi.getEmbeddingLevels(shapedText);
+	const mirrored = bidi.getMirroredCharactersMap(
+		shapedText,
+		embeddingLevels.levels
+	);
+	// bidi-js works on UTF-16 units; map each back to its shaped character
+	const unitItems = shaped.flatMap((item, k) =>
+		item.char.length === 1 ? [k] : [k, k]
+	);
+	const order = unitItems.map((k, unit) => unit);
+	for (const [start, end] of bidi.getReorderSegments(
+		shapedText,
+		embeddingLevels
+	)) {
+		const flipped = order.slice(start, end + 1).reverse();
+		order.splice(start, flipped.length, ...flipped);
+	}
+
+	const visual = [];
+	const emitted = new Set();
+	for (const unit of order) {
+		const k = unitItems[unit];
+		if (emitted.has(k)) continue; // Second half of a surrogate pair
+		emitted.add(k);
+		const segmentIndex = styles[shaped[k].source];
+		const char = mirrored.get(unit) || shaped[k].char;
+		const last = visual[visual.length - 1];
+		if (last && last.segmentIndex === segmentIndex) last.text += char;
+		else visual.push({ segmentIndex, text: char });
+	}
+	return {
+		segments: visual.map(({ segmentIndex, text }) => ({
+			...segments[segmentIndex],
+			text,
+		})),
+		rtl: (embeddingLevels.paragraphs[0]?.level ?? 0) % 2 === 1,
+	};
+}
+
+// Code pages such as CP864 hold only some presentation forms. A missing medial form is
+// replaced by the initial form and a missing final form by the isolated one, the way
+// Arabic printers' own fonts draw them. `canEncode(char)` tells what the code page holds.
+const FALLBACK_FORMS = new Map();
+for (const [first, type] of Object.values(ARABIC_FORMS)) {
+	if (first === null || type === null) continue;
+	FALLBACK_FORMS.set(first + 1, first); // Final -> isolated
+	if (type === DUAL) {
+		FALLBACK_FORMS.set(first + 2, first); // Initial -> isolated
+		FALLBACK_FORMS.set(first + 3, first + 2); // Medial -> initial
+	}
+}
+for (const first of Object.values(LAM_ALEF))
+	FALLBACK_FORMS.set(first + 1, first);
+
+export function fitPresentationForms(text, canEncode) {
+	return [...String(text ?? "")]
+		.map((char) => {
+			let code = char.charCodeAt(0);
+			while (!canEncode(String.fromCharCode(code)) && FALLBACK_FORMS.has(code))
+				code = FALLBACK_FORMS.get(code);
+			return canEncode(String.fromCharCode(code))
+				? String.fromCharCode(code)
+				: char;
+		})
+		.join("");
+}
+
+export function toVisualText(text) {
+	return toVisualLine([{ text: String(text ?? "") }])
+		.segments.map((segment) => segment.text)
+		.join("");
+}
+
+// The default "LT" means the start of the line, which is the right edge for RTL lines
+export function resolveLineAlign(align, rtl) {
+	const value = String(align || "LT").toUpperCase();
+	if (rtl && (value === "LT" || value === "LEFT")) return "RT";
+	return value;
+}
@@ -1,219 +1,505 @@
 // src/bridge-api.js
 import express from "express";
+import http from "http";
+import https from "https";
 import cors from "cors";
 import bodyParser from "body-parser";
-import { BrowserWindow } from "electron"; // For virtual printing
-import fs from "fs/promises";
-import path from "path";
-import os from "os";
-import { exec } from "child_process"; // For OS command line printing
 
-// For generating ESC/POS buffers and direct TCP printing
+// For generating ESC/POS buffers
 import {
 	ThermalPrinter,
 	PrinterTypes,
 	CharacterSet,
-	BreakLine,
 } from "node-thermal-printer";
 
-// For direct RAW USB communication
-import usb from "usb"; // Assumes 'npm i usb' and electron-rebuild has worked
+import {
+	createPrintJob,
+	enqueuePrintJob,
+	runExclusive,
+	getPrintJob,
+	toPublicJob,
+	toJobDetails,
+	waitForPrintJob,
+	JOB_STATES,
+} from "./print-jobs.js";
+import {
+	sendToVirtualPrinter,
+	sendToRawUsbPrinter,
+	sendToLanPrinter,
+	sendToOsPrinter,
+} from "./print-transports.js";
+import {
+	addManualPrinter,
+	updateManualPrinter,
+	removeManualPrinter,
+} from "./printer-registry.js";
+import {
+	findPrinter,
+	getPrinterRole,
+	listPrinterRoles,
+	resolvePrinterRole,
+	setPrinterRole,
+	removePrinterRole,
+} from "./printer-roles.js";
+import {
+	getKotRouting,
+	setKotRouting,
+	normalizeKotRouting,
+	splitOrderByStation,
+} from "./kot-routing.js";
+import {
+	watchDiskTemplates,
+	stopWatchingDiskTemplates,
+	getDiskTemplateGenerator,
+	listDiskTemplates,
+	getTemplatesDir,
+} from "./template-loader.js";
+import { commandsToSimpleHtml, renderHtmlToPng } from "./html-renderer.js";
+import { escapeHtml } from "./html-text.js";
+import { getAssetsDir, readImageAsset } from "./image-assets.js";
+import { resolvePaperProfile } from "./paper-profiles.js";
+import {
+	describeHardwareStatus,
+	queryPrinterHardwareStatus,
+} from "./printer-status.js";
+import { drawerKickBuffer, resolveDrawerPulse } from "./cash-drawer.js";
+import { resolveCopies, withCopies, withCopiesHtml } from "./print-copies.js";
+import { renderHtmlToPdf, archivePdf } from "./pdf-archive.js";
+import {
+	getJobHistoryRecord,
+	searchJobHistory,
+	getJobHistorySettings,
+	setJobHistorySettings,
+	jobOrderNumber,
+} from "./job-history.js";
+import {
+	readIdempotencyKey,
+	fingerprintRequest,
+	claimIdempotencyKey,
+	getIdempotencySettings,
+	setIdempotencySettings,
+} from "./idempotency.js";
+import { canEncodeText, renderTextLinesToPng } from "./text-raster.js";
+import {
+	renderHtmlToRasterCommands,
+	renderHtmlToRasterPng,
+} from "./html-raster.js";
+import {
+	fitPresentationForms,
+	hasRtlText,
+	resolveLineAlign,
+	toVisualLine,
+	toVisualText,
+} from "./bidi-text.js";
+import {
+	subscribeEvents,
+	getEventsSince,
+	eventMatchesFilter,
+} from "./event-bus.js";
+import {
+	authenticateApiRequest,
+	requireScope,
+	isOriginAllowed,
+	getApiBindAddress,
+} from "./api-auth.js";
+import { getApiTlsSettings, isHttpEnabled, isHttpsEnabled } from "./api-tls.js";
+import {
+	getPrinterSettings,
+	setPrinterSettings,
+	removePrinterSettings,
+	getPrinterPaper,
+	getPrinterOptions,
+	getPrinterBackups,
+} from "./printer-settings.js";
 
 // --- Import your template generators ---
-// import { generateStandardReceipt } from "./templates/standardReceipt.js";
+import { generateStandardReceipt } from "./templates/standardReceipt.js";
 // import { generateKitchenOrderTicket } from "./templates/kitchenOrderTicket.js";
-import { generateTwKitchenTakeawayTicket } from "./templates/kot_save_recipt";
+import { generateTwKitchenTakeawayTicket } from "./templates/kot_save_recipt.js";
 
-const API_PORT = process.env.API_PORT || 3030;
+export const API_PORT = parseInt(process.env.API_PORT, 10) || 3030; // Plain HTTP listener
+const EVENT_STREAM_RETRY_MS = 3000; // Browser reconnect delay for /api/events
+const DRAWER_STATUS_DELAY_MS = 300; // After the kick pulse, before reading the drawer sensor
+const EVENT_STREAM_HEARTBEAT_MS = 25000; // Keeps idle proxies from closing the stream
+const PRINT_WAIT_TIMEOUT_MS = 60000; // Longest /api/print holds a { wait: true } request
 
 // Mapping of template types to generator functions
 const templateGenerators = {
 	KOT_SAVE: generateTwKitchenTakeawayTicket,
+	RECEIPT: generateStandardReceipt,
+	HTML: (data) => String(data?.html ?? ""), // { html } as sent to /api/print
 	// Add more template identifiers and their corresponding functions here
 };
 
-// Helper function to convert our command objects to simple HTML for virtual printers
-function commandsToSimpleHtml(
+// Built-in generators first, then declarative templates from <userData>/templates
+function resolveTemplateGenerator(templateType) {
+	return (
+		templateGenerators[String(templateType).toUpperCase()] ||
+		getDiskTemplateGenerator(templateType)
+	);
+}
+
+// Print density -3..+3 (0 = printer default). EPSON: GS ( K fn 49, signed level;
+// STAR line mode: ESC RS d n, where n=3 is standard and lower is darker.
+function printDensityBytes(printerType, level) {
+	if (printerType === PrinterTypes.EPSON)
+		return Buffer.from([0x1d, 0x28, 0x4b, 0x02, 0x00, 0x31, level & 0xff]);
+	if (printerType === PrinterTypes.STAR)
+		return Buffer.from([0x1b, 0x1e, 0x64, 3 - level]);
+	return null;
+}
+
+// GS v 0 (normal density) for one 1-bit band. NTP's STAR driver gets the band as RGBA,
+// since Star line mode has its own raster commands.
+function rasterBandBytes(ntp, printerType, { width, height, bits }) {
+	const rowBytes = Math.ceil(width / 8);
+	if (printerType === PrinterTypes.STAR) {
+		const rgba = Buffer.alloc(width * height * 4, 0xff);
+		for (let y = 0; y < height; y++)
+			for (let x = 0; x < width; x++)
+				if (bits[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)))
+					rgba.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+		return ntp.printer.printImageBuffer(width, height, rgba);
+	}
+	return Buffer.concat([
+		Buffer.from([
+			0x1d,
+			0x76,
+			0x30,
+			0x00,
+			rowBytes & 0xff,
+			rowBytes >> 8,
+			height & 0xff,
+			height >> 8,
+		]),
+		bits,
+	]);
+}
+
+// A tableCustom row as node-thermal-printer cells: { text, align, width|cols, bold }
+function toTableCells(row, columns) {
+	return row.map((cell, cellIndex) => {
+		const col = columns[cellIndex] || {};
+		return {
+			text: String(cell ?? ""),
+			align: col.align || "LEFT",
+			...(col.width !== undefined ? { width: col.width } : {}),
+			...(col.cols !== undefined ? { cols: col.cols } : {}),
+			bold:
+				col.bold || (typeof col.style === "string" && col.style.includes("B")),
+		};
+	});
+}
+
+// Lays out the text lines and table rows that cannot go to the printer as they are:
+//   - lines with RTL text are shaped and put in visual order (see bidi-text.js)
+//   - lines the printer's code page still cannot encode are drawn as bitmaps in one
+//     offscreen page (see text-raster.js); if that fails they go out as text anyway
+// Returns { segments, align, size, ended, png } keyed by command index, or { cells, png }
+// keyed "index:row" for table rows. A line built from several 'print' commands is laid out
+// whole under its first command's index; the other commands map to null (already printed).
+// Follows the same sticky styles as generatePrintBufferNTP.
+async function layoutTextLines(
 	printDataArray,
-	documentTitle = "Print Document"
+	paper,
+	printerOptions,
+	encoding
 ) {
-	let htmlBody = "";
-	let currentAlignment = "left";
-
-	printDataArray.forEach((cmd) => {
-		let textContent = String(cmd.content || cmd.text || cmd.value || "");
-		let styleString = "";
-		let tag = "div";
-
-		const cmdAlign = cmd.align?.toLowerCase();
-		if (cmd.type?.toLowerCase() === "align" && cmdAlign) {
-			currentAlignment =
-				cmdAlign === "ct" || cmdAlign === "center"
-					? "center"
-					: cmdAlign === "rt" || cmdAlign === "right"
-					? "right"
-					: "left";
-		}
-		let effectiveAlign = cmd.align
-			? cmd.align.toLowerCase() === "ct" || cmd.align.toLowerCase() === "center"
-				? "center"
-				: cmd.align.toLowerCase() === "rt" ||
-				  cmd.align.toLowerCase() === "right"
-				? "right"
-				: "left"
-			: currentAlignment;
-		styleString += `text-align: ${effectiveAlign};`;
-
-		if (cmd.style) {
-			if (cmd.style.includes("B")) styleString += "font-weight: bold;";
-			if (cmd.style.includes("U")) styleString += "text-decoration: underline;";
-		}
-		if (cmd.size && Array.isArray(cmd.size)) {
-			const widthFactor = cmd.size[0] || 1;
-			const heightFactor = cmd.size[1] || 1;
-			if (widthFactor >= 3 || heightFactor >= 3)
-				styleString += "font-size: 2em; line-height:1.1; margin-bottom: 0.1em;";
-			else if (widthFactor >= 2 || heightFactor >= 2)
-				styleString +=
-					"font-size: 1.5em; line-height:1.1; margin-bottom: 0.05em;";
-			else styleString += "font-size: 1em;";
-		} else {
-			styleString += "font-size: 1em;";
+	const textLines = new Map();
+	const rasterKeys = [];
+	const rasterLines = [];
+	const rasterFallback = printerOptions?.rasterFallback !== false;
+	let stickyStyles = printerOptions?.initialAlign
+		? { align: printerOptions.initialAlign.toUpperCase() }
+		: {};
+	const fitCodePage = (text) =>
+		fitPresentationForms(text, (char) => canEncodeText(char, encoding));
+	let openLine = null; // 'print' keeps the line open until the next 'println'/'text'
+	const closeLine = (ended) => {
+		if (!openLine) return;
+		const visualLine = toVisualLine(openLine.segments);
+		const { rtl } = visualLine;
+		const reordered = visualLine.segments !== openLine.segments; // Only lines with RTL text
+		const segments = reordered
+			? visualLine.segments.map((segment) => ({
+					...segment,
+					text: fitCodePage(segment.text),
+			  }))
+			: visualLine.segments;
+		const encodable = segments.every((segment) =>
+			canEncodeText(segment.text, encoding)
+		);
+		if (reordered || !encodable) {
+			const key = String(openLine.indexes[0]);
+			const align = resolveLineAlign(openLine.align, rtl);
+			textLines.set(key, { segments, align, size: openLine.size, ended });
+			openLine.indexes.slice(1).forEach((i) => textLines.set(String(i), null));
+			if (!encodable && rasterFallback) {
+				rasterKeys.push(key);
+				// Chromium shapes and orders the logical text itself
+				rasterLines.push({ ...openLine, align });
+			}
 		}
-
-		switch (cmd.type?.toLowerCase()) {
+		openLine = null;
+	};
+	printDataArray.forEach((cmd, index) => {
+		const type = cmd.type?.toLowerCase();
+		switch (type) {
 			case "text":
 			case "println":
-				htmlBody += `<${tag} style="${styleString}"><pre>${textContent}</pre></${tag}>\n`;
+			case "print":
+				if (!openLine)
+					openLine = {
+						indexes: [],
+						segments: [],
+						align: cmd.align || stickyStyles.align,
+						size: cmd.size ?? stickyStyles.size,
+					};
+				openLine.indexes.push(index);
+				openLine.segments.push({
+					text: String(cmd.content || cmd.text || ""),
+					style: cmd.style ?? stickyStyles.style,
+				});
+				if (type !== "print") closeLine(true);
+				return;
+			case "align":
+				if (cmd.align) stickyStyles.align = cmd.align.toUpperCase();
 				break;
 			case "setstyles":
-				if (cmd.align) currentAlignment = cmd.align.toLowerCase();
+				stickyStyles = {
+					...stickyStyles,
+					...(cmd.align ? { align: cmd.align.toUpperCase() } : {}),
+					...(cmd.style !== undefined ? { style: cmd.style } : {}),
+					...(cmd.size !== undefined ? { size: cmd.size } : {}),
+				};
 				break;
 			case "resetstyles":
-				currentAlignment = "left";
-				break;
-			case "feed":
-				htmlBody += "<br>".repeat(parseInt(cmd.lines, 10) || 1);
-				break;
-			case "drawline":
-				htmlBody +=
-					'<hr style="border:none; border-top: 1px dashed #555; margin: 8px 0;">\n';
-				break;
-			case "barcode":
-				htmlBody += `<div style="${styleString}">[BARCODE: ${textContent}]</div>\n`;
-				break;
-			case "qr":
-				htmlBody += `<div style="${styleString}">[QR CODE: ${textContent}]</div>\n`;
+				stickyStyles = {};
 				break;
 			case "tablecustom":
-				htmlBody +=
-					'<table border="0" style="width:100%; border-collapse: collapse; margin-bottom: 10px; font-size: 0.9em;"><tbody>';
-				if (cmd.data && Array.isArray(cmd.data)) {
-					cmd.data.forEach((row) => {
-						htmlBody += "<tr>";
-						row.forEach((cell, cellIndex) => {
-							let cellHtmlStyle = "padding: 1px 2px; border: none;";
-							if (cmd.options?.columns?.[cellIndex]) {
-								const colOpt = cmd.options.columns[cellIndex];
-								if (colOpt.align === "RIGHT")
-									cellHtmlStyle += "text-align:right;";
-								else if (colOpt.align === "CENTER")
-									cellHtmlStyle += "text-align:center;";
-								else cellHtmlStyle += "text-align:left;";
-								if (colOpt.style?.includes("B"))
-									cellHtmlStyle += "font-weight:bold;";
-								if (colOpt.size?.[1] >= 2) cellHtmlStyle += "font-size:1.4em;"; // Example mapping
-							}
-							htmlBody += `<td style="${cellHtmlStyle}">${String(cell)}</td>`;
-						});
-						htmlBody += "</tr>";
-					});
-				}
-				htmlBody += "</tbody></table>\n";
+				closeLine(false);
+				if (!Array.isArray(cmd.data)) break;
+				cmd.data.forEach((row, rowIndex) => {
+					if (
+						!Array.isArray(row) ||
+						(!row.some((cell) => hasRtlText(cell)) &&
+							row.every((cell) => canEncodeText(cell, encoding)))
+					)
+						return;
+					const cells = toTableCells(row, cmd.options?.columns || []);
+					const visualCells = cells.map((cell) => ({
+						...cell,
+						text: fitCodePage(toVisualText(cell.text)),
+					}));
+					const key = `${index}:${rowIndex}`;
+					textLines.set(key, { cells: visualCells });
+					if (
+						rasterFallback &&
+						!visualCells.every((cell) => canEncodeText(cell.text, encoding))
+					) {
+						rasterKeys.push(key);
+						rasterLines.push({ cells });
+					}
+				});
 				break;
+			default:
+				closeLine(false);
 		}
 	});
-	return `<!DOCTYPE html><html><head><title>${documentTitle}</title><meta charset="UTF-8"><style>body{font-family:'Courier New',Courier,monospace;margin:10mm;font-size:10pt}pre{white-space:pre-wrap;margin:0;padding:0;line-height:1.2}div{margin-bottom:1px;line-height:1.2}table,th,td{border:none!important}</style></head><body>${htmlBody}</body></html>`;
+	closeLine(false);
+	if (rasterLines.length === 0) return textLines;
+
+	try {
+		const pngs = await renderTextLinesToPng(rasterLines, {
+			printableDots: printableDots(paper),
+			columns: paper.columns,
+		});
+		rasterKeys.forEach((key, i) => (textLines.get(key).png = pngs[i]));
+	} catch (rasterErr) {
+		console.error(
+			`NTP Buffer Gen: Raster fallback failed, sending ${rasterLines.length} line(s) as text: ${rasterErr.message}`
+		);
+	}
+	return textLines;
 }
 
-// Helper to generate raw ESC/POS buffer using node-thermal-printer (for RAW_USB and OS_CMD paths)
+// Helper to generate raw ESC/POS buffer using node-thermal-printer (for RAW_USB, MDNS_LAN and OS_CMD paths)
 async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
+	const paper = printerOptions?.paper || resolvePaperProfile();
+	const printerType =
+		(printerOptions?.type && PrinterTypes[printerOptions.type.toUpperCase()]) ||
+		PrinterTypes.EPSON;
 	const ntp = new ThermalPrinter({
-		type:
-			(printerOptions?.type &&
-				PrinterTypes[printerOptions.type.toUpperCase()]) ||
-			PrinterTypes.EPSON,
+		type: printerType,
+		// NTP requires an interface; we only use it to build the buffer, transports send it
+		interface: {
+			execute: async () => {},
+			isPrinterConnected: async () => false,
+		},
+		width: paper.columns, // drawLine and tableCustom lay out to this
 		characterSet:
 			(printerOptions?.characterSet &&
 				CharacterSet[printerOptions.characterSet.toUpperCase()]) ||
 			CharacterSet.UTF_8,
 	});
 
+	const alignNTP = (align) => {
+		const value = String(align || "LT").toUpperCase();
+		if (value === "CT" || value === "CENTER") ntp.alignCenter();
+		else if (value === "RT" || value === "RIGHT") ntp.alignRight();
+		else ntp.alignLeft();
+	};
+	// NTP's STAR driver has no setTextSize or beep; Star line mode sizes text with ESC i
+	const setTextSizeNTP = (height, width) => {
+		if (printerType === PrinterTypes.STAR)
+			ntp.add(
+				Buffer.from([0x1b, 0x69, Math.min(5, height), Math.min(5, width)])
+			);
+		else ntp.setTextSize(height, width);
+	};
+	const beepNTP = (times, duration) => {
+		if (printerType === PrinterTypes.STAR)
+			console.warn("NTP Buffer Gen: Beep not supported for STAR printers.");
+		else ntp.beep(times, duration);
+	};
+	const applyStylesNTP = ({ style, size }) => {
+		if (style) {
+			if (style.includes("B")) ntp.bold(true);
+			if (style.includes("U2")) ntp.underlineThick(true);
+			else if (style.includes("U")) ntp.underline(true);
+			if (style.includes("I")) ntp.invert(true);
+		}
+		if (size && Array.isArray(size) && size.length === 2) {
+			setTextSizeNTP(Math.max(0, size[0] - 1), Math.max(0, size[1] - 1));
+		}
+	};
 	const resetStylesNTP = () => {
-		ntp.align("LT");
-		ntp.setTextNormal();
+		ntp.alignLeft();
+		ntp.setTextNormal(); // ESC ! 0 also selects Font A
+		if (paper.font === "B") ntp.setTypeFontB();
 		ntp.bold(false);
 		ntp.underline(false);
 		ntp.underlineThick(false);
 		ntp.invert(false);
 	};
+	// Styles from 'setStyles'/'align' stay active until 'resetStyles' (same as commandsToSimpleHtml)
+	let stickyStyles = {};
 	if (printerOptions?.initialAlign)
-		ntp.align(printerOptions.initialAlign.toUpperCase());
+		stickyStyles.align = printerOptions.initialAlign.toUpperCase();
+	if (paper.margins.left > 0 || paper.margins.right > 0) {
+		// GS L (left margin) and GS W (printable width), both in dots
+		const printableDots =
+			paper.dotsPerLine - paper.margins.left - paper.margins.right;
+		ntp.add(
+			Buffer.from([
+				0x1d,
+				0x4c,
+				paper.margins.left & 0xff,
+				paper.margins.left >> 8,
+				0x1d,
+				0x57,
+				printableDots & 0xff,
+				printableDots >> 8,
+			])
+		);
+	}
+	if (paper.font === "B") ntp.setTypeFontB();
+	const autoCut = printerOptions?.autoCut !== false;
+	const density = parseInt(printerOptions?.density, 10);
+	if (density) {
+		const densityBytes = printDensityBytes(printerType, density);
+		if (densityBytes) ntp.add(densityBytes);
+		else
+			console.warn(
+				`NTP Buffer Gen: Print density not supported for printer type '${printerType}'.`
+			);
+	}
 
-	for (const cmd of printDataArray) {
+	// RTL lines print shaped and in visual order; lines the selected code page cannot encode
+	// print as bitmaps, unless printerOptions.rasterFallback is false (for printers with their
+	// own font for the script)
+	const textLines = await layoutTextLines(
+		printDataArray,
+		paper,
+		printerOptions,
+		ntp.printer.config.CODE_PAGES?.[ntp.config.codePage]
+	);
+	let lineOpen = false; // After 'print', until a line feed
+	const printRaster = async (png) => {
+		if (lineOpen) ntp.newLine(); // Raster images need an empty line buffer
+		ntp.alignLeft(); // Alignment is drawn into the bitmap
+		await ntp.printImageBuffer(png);
+	};
+
+	for (const [index, cmd] of printDataArray.entries()) {
 		if (
 			cmd.type?.toLowerCase() !== "setstyles" &&
 			cmd.type?.toLowerCase() !== "resetstyles"
 		)
 			resetStylesNTP();
-		const alignCmdNTP = cmd.align ? cmd.align.toUpperCase() : "LT";
+		const alignCmdNTP = (cmd.align || stickyStyles.align || "LT").toUpperCase();
 		switch (cmd.type?.toLowerCase()) {
 			case "text":
 			case "println":
-				ntp.align(alignCmdNTP);
-				if (cmd.style) {
-					if (cmd.style.includes("B")) ntp.bold(true);
-					if (cmd.style.includes("U2")) ntp.underlineThick(true);
-					else if (cmd.style.includes("U")) ntp.underline(true);
-					if (cmd.style.includes("I")) ntp.invert(true);
-				}
-				if (cmd.size && Array.isArray(cmd.size) && cmd.size.length === 2) {
-					ntp.setTextSize(
-						Math.max(0, cmd.size[0] - 1),
-						Math.max(0, cmd.size[1] - 1)
-					);
+			case "print":
+				if (textLines.has(String(index))) {
+					const line = textLines.get(String(index));
+					if (line?.png) {
+						await printRaster(line.png);
+						lineOpen = false;
+					} else if (line) {
+						for (const segment of line.segments) {
+							resetStylesNTP();
+							alignNTP(line.align);
+							applyStylesNTP({ style: segment.style, size: line.size });
+							ntp.print(segment.text);
+						}
+						if (line.ended) ntp.newLine();
+						lineOpen = !line.ended;
+					}
+					break;
 				}
-				ntp.println(String(cmd.content || cmd.text || ""));
+				alignNTP(alignCmdNTP);
+				applyStylesNTP({
+					style: cmd.style ?? stickyStyles.style,
+					size: cmd.size ?? stickyStyles.size,
+				});
+				if (cmd.type.toLowerCase() === "print")
+					ntp.print(String(cmd.content || cmd.text || ""));
+				else ntp.println(String(cmd.content || cmd.text || ""));
+				lineOpen = cmd.type.toLowerCase() === "print";
 				break;
 			case "feed":
-				ntp.feed(parseInt(cmd.lines, 10) || 1);
+				for (let i = 0; i < (parseInt(cmd.lines, 10) || 1); i++) ntp.newLine();
 				break;
 			case "cut":
-				ntp.cut(cmd.mode === "FULL" ? BreakLine.FULL : BreakLine.PART);
+				if (!autoCut) break; // Tear-off printers (no cutter) or cutting turned off
+				if (cmd.mode === "FULL") ntp.cut();
+				else ntp.partialCut();
 				break;
 			case "beep":
-				ntp.beep(parseInt(cmd.n, 10) || 1, parseInt(cmd.t, 10) || 100);
+				beepNTP(
+					Math.min(9, parseInt(cmd.n, 10) || 1),
+					Math.min(9, parseInt(cmd.t, 10) || 1)
+				);
 				break;
 			case "align":
-				if (cmd.align) ntp.align(cmd.align.toUpperCase());
+				if (cmd.align) stickyStyles.align = cmd.align.toUpperCase();
 				break;
 			case "setstyles":
-				if (cmd.align) ntp.align(cmd.align.toUpperCase());
-				if (cmd.style) {
-					if (cmd.style.includes("B")) ntp.bold(true); /* etc */
-				}
-				if (cmd.size) {
-					ntp.setTextSize(
-						Math.max(0, cmd.size[0] - 1),
-						Math.max(0, cmd.size[1] - 1)
-					);
-				}
+				stickyStyles = {
+					...stickyStyles,
+					...(cmd.align ? { align: cmd.align.toUpperCase() } : {}),
+					...(cmd.style !== undefined ? { style: cmd.style } : {}),
+					...(cmd.size !== undefined ? { size: cmd.size } : {}),
+				};
 				break;
 			case "resetstyles":
+				stickyStyles = {};
 				resetStylesNTP();
 				break;
 			case "barcode":
-				ntp.align(alignCmdNTP);
+				alignNTP(alignCmdNTP);
 				ntp.printBarcode(
 					String(cmd.content || cmd.value),
 					parseInt(cmd.barcodeType, 10) || 73,
@@ -227,7 +513,7 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 				);
 				break;
 			case "qr":
-				ntp.align(alignCmdNTP);
+				alignNTP(alignCmdNTP);
 				await ntp.printQR(String(cmd.content || cmd.value), {
 					cellSize: parseInt(cmd.cellSize, 10) || 3,
 					correction: cmd.correction || "M",
@@ -235,11 +521,12 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 				});
 				break;
 			case "image":
-				ntp.align(alignCmdNTP);
+				alignNTP(alignCmdNTP);
 				if (cmd.path) {
 					try {
-						await ntp.printImage(cmd.path);
+						await ntp.printImage(readImageAsset(cmd.path).filePath);
 					} catch (e) {
+						console.warn(`API Print: ${e.message}`);
 						ntp.println("[ImgPathErr]");
 					}
 				} else {
@@ -247,7 +534,7 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 				}
 				break;
 			case "imagebuffer":
-				ntp.align(alignCmdNTP);
+				alignNTP(alignCmdNTP);
 				if (cmd.buffer) {
 					try {
 						await ntp.printImageBuffer(Buffer.from(cmd.buffer, "base64"));
@@ -261,8 +548,22 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 			case "drawline":
 				ntp.drawLine();
 				break;
+			case "raster":
+				// Dithered band from html-raster.js: { width, height, bits } (1 bit per dot)
+				ntp.add(rasterBandBytes(ntp, printerType, cmd));
+				break;
+			case "cashdraw":
+				// ESC p pulse on the drawer port (see cash-drawer.js); { pin: 2|5, onMs, offMs }
+				try {
+					ntp.add(drawerKickBuffer(cmd));
+				} catch (drawerErr) {
+					console.error(
+						`NTP Buffer Gen: Skipped cashdraw: ${drawerErr.message}`
+					);
+				}
+				break;
 			case "raw":
-				ntp.raw(
+				ntp.add(
 					Buffer.isBuffer(cmd.content)
 						? cmd.content
 						: Buffer.from(String(cmd.content || ""), "hex")
@@ -271,28 +572,14 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 			case "tablecustom":
 				if (cmd.data && Array.isArray(cmd.data)) {
 					try {
-						const ntpTableOpts = { ...(cmd.options || {}) };
-						if (ntpTableOpts.columns && Array.isArray(ntpTableOpts.columns)) {
-							ntpTableOpts.columns = ntpTableOpts.columns.map((col) => {
-								const newCol = { ...col };
-								if (typeof col.style === "string") {
-									newCol.bold = col.style.includes("B");
-									newCol.underline = col.style.includes("U");
-									newCol.underlineThick = col.style.includes("U2");
-									newCol.invert = col.style.includes("I");
-									delete newCol.style;
-								}
-								if (col.size && Array.isArray(col.size)) {
-									newCol.textSize = [
-										Math.max(0, col.size[0] - 1),
-										Math.max(0, col.size[1] - 1),
-									];
-									delete newCol.size;
-								}
-								return newCol;
-							});
+						// NTP's tableCustom() prints one row of { text, align, width|cols, bold } cells
+						const columns = cmd.options?.columns || [];
+						for (const [rowIndex, row] of cmd.data.entries()) {
+							const laidOut = textLines.get(`${index}:${rowIndex}`);
+							if (laidOut?.png) await printRaster(laidOut.png);
+							else
+								ntp.tableCustom(laidOut?.cells || toTableCells(row, columns));
 						}
-						ntp.tableCustom(cmd.data, ntpTableOpts);
 					} catch (tableErr) {
 						ntp.println("[TableErr]");
 						console.error("NTP Buffer Gen Table Err:", tableErr);
@@ -304,19 +591,453 @@ async function generatePrintBufferNTP(printDataArray, printerOptions = {}) {
 		}
 	}
 	resetStylesNTP();
-	if (!printDataArray.some((cmd) => cmd.type?.toLowerCase() === "cut"))
-		ntp.cut(BreakLine.PART);
+	if (printerOptions?.beep) beepNTP(1, 3); // "Ticket printed" for noisy kitchens
+	if (
+		autoCut &&
+		!printDataArray.some((cmd) => cmd.type?.toLowerCase() === "cut")
+	)
+		ntp.partialCut();
 
 	return ntp.getBuffer();
 }
 
-export function startApiServer(getDiscoveredPrinters) {
+// Paper layout shared by the ESC/POS generator and the HTML renderer
+function toHtmlLayout(printerOptions = {}) {
+	const paper = printerOptions.paper || resolvePaperProfile();
+	return {
+		charsPerLine: paper.columns,
+		dotWidth: paper.dotsPerLine,
+		margins: paper.margins,
+		initialAlign: printerOptions.initialAlign,
+	};
+}
+
+// template -> { printDataArray } (command objects) or { html } for templates that output
+// an HTML document (throws on unknown templates or bad output).
+// Templates get the paper profile as a second argument to size separators and wrapping.
+function renderTemplate(templateType, templateData, paper) {
+	const templateFunction = resolveTemplateGenerator(templateType);
+	if (!templateFunction)
+		throw new Error(`Template type '${templateType}' not found.`);
+	const output = templateFunction(templateData, { paper }); // Call template generator
+	if (typeof output === "string") {
+		if (!output.trim()) throw new Error("Template returned empty HTML.");
+		return { html: output };
+	}
+	if (!Array.isArray(output))
+		throw new Error(
+			"Template did not return an array of commands or an HTML string."
+		);
+	return { printDataArray: output };
+}
+
+// Printable width in dots, which is the page width HTML is laid out at
+const printableDots = (paper) =>
+	paper.dotsPerLine - paper.margins.left - paper.margins.right;
+
+// Reprints (POST /api/jobs/:id/reprint) and jobs moved to a backup printer say so on top.
+// Neither kicks the cash drawer: it was opened already, or belongs to the failed printer.
+const REPRINT_BANNER = "*** REPRINT ***";
+
+const redirectBanner = (job) =>
+	`REDIRECTED FROM ${job.redirectedFrom.name.toUpperCase()}`;
+
+function withJobBanners(job, printDataArray) {
+	if (!job.reprintOf && !job.redirectedFrom) return printDataArray;
+	return [
+		...(job.reprintOf
+			? [
+					{
+						type: "text",
+						content: REPRINT_BANNER,
+						align: "CT",
+						style: "B",
+						size: [2, 2],
+					},
+			  ]
+			: []),
+		...(job.redirectedFrom
+			? [
+					{
+						type: "text",
+						content: redirectBanner(job),
+						align: "CT",
+						style: "B",
+					},
+			  ]
+			: []),
+		{ type: "feed", lines: 1 },
+		...printDataArray.filter((cmd) => cmd.type?.toLowerCase() !== "cashdraw"),
+	];
+}
+
+function withJobBannersHtml(job, html) {
+	if (!job.reprintOf && !job.redirectedFrom) return html;
+	const banner = `${
+		job.reprintOf
+			? `<div style="text-align:center;font-weight:bold;font-size:2em">${REPRINT_BANNER}</div>`
+			: ""
+	}${
+		job.redirectedFrom
+			? `<div style="text-align:center;font-weight:bold">${escapeHtml(
+					redirectBanner(job)
+			  )}</div>`
+			: ""
+	}<div style="height:0.5em"></div>`;
+	return /<body[^>]*>/i.test(html)
+		? html.replace(/<body[^>]*>/i, (bodyTag) => bodyTag + banner)
+		: banner + html;
+}
+
+// Job queue "rendering" phase: template -> command objects -> transport payload
+async function renderPrintJob(job) {
+	const { printer: config, templateType, templateData, printerOptions } = job;
+	let { printDataArray, html } = renderTemplate(
+		templateType,
+		templateData,
+		printerOptions.paper
+	);
+	const copies = resolveCopies(printerOptions.copies);
+	job.copies = copies
+		? copies.map((copy, index) => ({ copy: index + 1, caption: copy.caption }))
+		: null;
+	if (html !== undefined)
+		return renderHtmlPrintJob(
+			config,
+			withJobBannersHtml(job, html),
+			printerOptions,
+			copies
+		);
+	printDataArray = withCopies(withJobBanners(job, printDataArray), copies);
+	job.printDataArray = printDataArray;
+	console.log(
+		`API Print: Generated ${printDataArray.length} commands via template '${templateType}' for '${config.name}'.`
+	);
+
+	if (config.connectionType === "VIRTUAL") {
+		return {
+			printDataArray,
+			htmlContent: commandsToSimpleHtml(
+				printDataArray,
+				`Print to ${config.name}`,
+				toHtmlLayout(printerOptions)
+			),
+		};
+	}
+	if (isRawPrinter(config)) {
+		const rawBuffer = await generatePrintBufferNTP(
+			printDataArray,
+			printerOptions
+		);
+		if (!rawBuffer || rawBuffer.length === 0)
+			throw new Error(
+				`NTP generated empty buffer for ${config.connectionType} print.`
+			);
+		console.log(
+			`API Print: Generated ${rawBuffer.length} bytes using NTP buffer helper for '${config.name}'.`
+		);
+		return { printDataArray, rawBuffer };
+	}
+	return { printDataArray };
+}
+
+// HTML goes to VIRTUAL printers as it is, and to ESC/POS printers as raster bands.
+// Copies are rasterized once and repeated.
+async function renderHtmlPrintJob(config, html, printerOptions, copies = null) {
+	if (config.connectionType === "VIRTUAL")
+		return { htmlContent: withCopiesHtml(html, copies) };
+	if (!isRawPrinter(config)) return {};
+	const paper = printerOptions.paper || resolvePaperProfile();
+	const bands = await renderHtmlToRasterCommands(html, {
+		width: printableDots(paper),
+		maxHeight: paper.maxPageDots,
+	});
+	const rawBuffer = await generatePrintBufferNTP(
+		withCopies(bands, copies),
+		printerOptions
+	);
+	console.log(
+		`API Print: Rendered HTML to ${bands.length} raster band(s), ${rawBuffer.length} bytes for '${config.name}'.`
+	);
+	return { rawBuffer };
+}
+
+// Printers that take ESC/POS bytes (everything except the Electron virtual path)
+function isRawPrinter(config) {
+	return (
+		config.connectionType === "RAW_USB" ||
+		config.connectionType === "MDNS_LAN" ||
+		!!config.connectionType?.startsWith("OS_")
+	);
+}
+
+function sendRawBuffer(config, rawBuffer, printerOptions) {
+	if (config.connectionType === "RAW_USB")
+		return sendToRawUsbPrinter(config, rawBuffer);
+	if (config.connectionType === "MDNS_LAN")
+		return sendToLanPrinter(config, rawBuffer, printerOptions);
+	return sendToOsPrinter(config, rawBuffer);
+}
+
+// VIRTUAL printers print the HTML, save it as a PDF, or both (printerOptions.output).
+// The PDF is archived once; a retry after a failed print does not save a second copy.
+// With printerOptions.returnPdf the PDF is also kept on the job for the API response.
+async function sendToVirtualOutput(job, htmlContent) {
+	const { printer: config, printerOptions, templateData } = job;
+	let output = printerOptions.output || "print";
+	if (printerOptions.returnPdf && output === "print") output = "both";
+	if (output !== "print" && !job.pdfFile) {
+		const pdf = await renderHtmlToPdf(
+			htmlContent,
+			printerOptions.paper || resolvePaperProfile()
+		);
+		job.pdfFile = await archivePdf(pdf, {
+			orderNumber: jobOrderNumber(templateData),
+			jobId: job.id,
+		});
+		if (printerOptions.returnPdf) job.pdf = pdf;
+	}
+	if (output === "pdf") return `Saved PDF ${job.pdfFile}`;
+	const message = await sendToVirtualPrinter(
+		config,
+		htmlContent,
+		printerOptions
+	);
+	return job.pdfFile ? `${message}; saved PDF ${job.pdfFile}` : message;
+}
+
+// Job queue "sending" phase: throws on failure so the queue can retry
+async function sendPrintJob(job, rendered) {
+	const { printer: config, printerOptions } = job;
+	if (config.connectionType === "VIRTUAL")
+		return sendToVirtualOutput(job, rendered.htmlContent);
+	if (isRawPrinter(config))
+		return sendRawBuffer(config, rendered.rawBuffer, printerOptions);
+	console.error(
+		`API Print: Unhandled printer configuration. ConnType: '${config.connectionType}' for printer '${config.name}'`
+	);
+	throw new Error(`Cannot print. Unhandled config for '${config.name}'.`);
+}
+
+// Lowest to highest: driver fields saved with a manually configured printer, the printer's
+// stored settings (printer-settings.js), then the request's own printerOptions
+function withPrinterDefaults(config, printerOptions) {
+	return {
+		...(config.driverType ? { type: config.driverType } : {}),
+		...(config.characterSet ? { characterSet: config.characterSet } : {}),
+		...getPrinterOptions(config.id),
+		...printerOptions,
+		paper: getPrinterPaper(config.id, printerOptions.paper),
+	};
+}
+
+// A request may pick a paper profile per job ("58MM" or { profile, font, ... }) and ask for
+// several copies (see print-copies.js). Returns the error message for bad values.
+function checkPrinterOptions(printerOptions = {}) {
+	try {
+		if (printerOptions.paper !== undefined)
+			resolvePaperProfile(printerOptions.paper);
+		resolveCopies(printerOptions.copies);
+		return null;
+	} catch (optionsError) {
+		return optionsError.message;
+	}
+}
+
+// A failed job moves on to a backup printer with that printer's own defaults
+function retargetPrintJob(job, config) {
+	job.printer = config;
+	job.printerOptions = withPrinterDefaults(config, job.requestOptions);
+	console.log(
+		`API Print: Job ${job.id} failed over from '${job.redirectedFrom.name}' to '${config.name}'.`
+	);
+}
+
+// Backups for a job on `config`: the printer's own list (printer settings), then the list
+// of the role it was printed through. Printers that are not available are skipped.
+function resolveBackupPrinters(config, printers, role = null) {
+	const refs = [
+		...getPrinterBackups(config.id),
+		...((role && getPrinterRole(role)?.backups) || []),
+	];
+	const backups = [];
+	for (const ref of refs) {
+		const backup = findPrinter(printers, ref);
+		if (
+			backup &&
+			backup.id !== config.id &&
+			!backups.some((p) => p.id === backup.id)
+		)
+			backups.push(backup);
+	}
+	return backups;
+}
+
+function queuePrintJob(
+	config,
+	{ templateType, templateData, printerOptions, reprintOf = null, backups = [] }
+) {
+	const job = createPrintJob({
+		printer: config,
+		templateType,
+		templateData,
+		printerOptions: withPrinterDefaults(config, printerOptions),
+		requestOptions: printerOptions,
+		reprintOf,
+		backups,
+	});
+	console.log(
+		`API Print: Queued job ${job.id} for '${config.name}' (ConnType: ${config.connectionType}, Virtual: ${config.isVirtual}) using template '${templateType}'`
+	);
+	enqueuePrintJob(job, {
+		render: renderPrintJob,
+		send: sendPrintJob,
+		retarget: retargetPrintJob,
+	});
+	return job;
+}
+
+// Request bodies with { html } use the built-in HTML template
+function withHtmlTemplate({ html, templateType, templateData }) {
+	if (html === undefined) return { templateType, templateData };
+	if (typeof html !== "string" || !html.trim())
+		return { error: "'html' must be a non-empty HTML document string." };
+	return { templateType: "HTML", templateData: { html } };
+}
+
+function toJobSummary(job) {
+	return {
+		jobId: job.id,
+		printerName: job.printer.name,
+		status: job.state,
+		statusUrl: `/api/jobs/${job.id}`,
+		...(job.redirectedFrom ? { redirectedFrom: job.redirectedFrom } : {}),
+	};
+}
+
+// For { wait: true } / { returnPdf: true } requests: the job's outcome once it has finished,
+// with the archived PDF as base64. A job still running after PRINT_WAIT_TIMEOUT_MS is
+// reported as queued and keeps going; its PDF is then only archived, not kept in memory.
+async function waitForJobResult(job) {
+	const finished = await waitForPrintJob(job, PRINT_WAIT_TIMEOUT_MS);
+	if (!finished) {
+		job.printerOptions.returnPdf = false;
+		job.requestOptions.returnPdf = false; // Also after a failover
+	}
+	const result = {
+		...toJobSummary(job),
+		finished,
+		message: job.message,
+		error: job.error,
+		...(job.pdfFile ? { pdfFile: job.pdfFile } : {}),
+		...(job.copies ? { copies: job.copies } : {}),
+		...(finished && job.pdf ? { pdf: job.pdf.toString("base64") } : {}),
+	};
+	delete job.pdf;
+	return result;
+}
+
+const waitStatusCode = (results) => {
+	if (results.some((result) => !result.finished)) return 202;
+	return results.every((result) => result.status === JOB_STATES.DONE)
+		? 200
+		: 500;
+};
+
+// A replayed response shows the jobs' current states and printers, not the ones they had
+// back then
+function withCurrentJobStates(value) {
+	if (Array.isArray(value)) return value.map(withCurrentJobStates);
+	if (!value || typeof value !== "object") return value;
+	const copy = Object.fromEntries(
+		Object.entries(value).map(([key, item]) => [
+			key,
+			withCurrentJobStates(item),
+		])
+	);
+	const job = copy.jobId ? getPrintJob(copy.jobId) : null;
+	if (job && copy.status) copy.status = job.state;
+	if (job && copy.printerName) copy.printerName = job.printer.name;
+	if (job?.redirectedFrom) copy.redirectedFrom = job.redirectedFrom;
+	return copy;
+}
+
+// Middleware for the print endpoints (see idempotency.js). Keys are scoped to the API key
+// and the endpoint, so two POS clients cannot collide on the same order number.
+function withIdempotencyKey(req, res, next) {
+	const { jobKey, ...body } = req.body || {};
+	const { key, error } = readIdempotencyKey(req.get("Idempotency-Key"), jobKey);
+	if (error) return res.status(400).json({ error });
+	if (!key) return next();
+
+	const claim = claimIdempotencyKey(
+		`${req.apiKey?.id || ""}|${req.path}|${key}`,
+		fingerprintRequest(body)
+	);
+	if (claim.status === "conflict")
+		return res.status(422).json({
+			error: `Idempotency key '${key}' was already used with a different request body.`,
+		});
+	if (claim.status === "replay") {
+		console.log(
+			`API Print: Replaying the response for idempotency key '${key}'.`
+		);
+		return claim.result.then(({ statusCode, body: replayBody }) =>
+			res
+				.status(statusCode)
+				.set("Idempotent-Replayed", "true")
+				.json(
+					replayBody
+						? withCurrentJobStates(replayBody)
+						: { error: "The original request failed." }
+				)
+		);
+	}
+
+	// The claim completes when the handler answers, not when the connection closes: a POS
+	// that gave up waiting has not cancelled its jobs, and its retry must replay them.
+	// Replies that are not JSON (express's error handler) free the key instead.
+	const sendJson = res.json.bind(res);
+	const end = res.end.bind(res);
+	let completed = false;
+	res.json = (responseBody) => {
+		if (!completed) {
+			completed = true;
+			claim.complete(res.statusCode, responseBody);
+		}
+		return sendJson(responseBody);
+	};
+	res.end = (...args) => {
+		if (!completed) {
+			completed = true;
+			claim.complete(res.statusCode >= 400 ? res.statusCode : 500, null);
+		}
+		return end(...args);
+	};
+	next();
+}
+
+// Returns the listening servers: HTTP, HTTPS or both depending on api-tls.js settings.
+// `tlsCredentials` ({ cert, key }) comes from ensureApiTlsCredentials().
+export function startApiServer(
+	getDiscoveredPrinters,
+	{ onPrinterRegistryChanged = () => {}, tlsCredentials = null } = {}
+) {
 	const app = express();
-	app.use(cors({ origin: "*" }));
+	// Allow-list and API keys are managed from the bridge window (see api-auth.js)
+	app.use(
+		cors({
+			origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+			exposedHeaders: ["Idempotent-Replayed"],
+		})
+	);
+	app.use("/api", authenticateApiRequest);
 	app.use(bodyParser.json({ limit: "10mb" }));
 	app.use(bodyParser.urlencoded({ limit: "10mb", extended: true }));
 
-	app.get("/api/printers", (req, res) => {
+	watchDiskTemplates(Object.keys(templateGenerators));
+
+	app.get("/api/printers", requireScope("read"), (req, res) => {
 		const printers = getDiscoveredPrinters();
 		if (!printers)
 			return res.status(500).json({ error: "Printer list unavailable" });
@@ -329,435 +1050,783 @@ export function startApiServer(getDiscoveredPrinters) {
 				description: p.description,
 				isDefault: p.isDefault,
 				isVirtual: p.isVirtual,
+				isManual: !!p.isManual,
+				paper: getPrinterPaper(p.id),
+				hardwareStatus: p.hardwareStatus || null, // See printer-status.js
+				hardwareSummary: describeHardwareStatus(p.hardwareStatus),
 			}))
 		);
 	});
 
-	app.post("/api/print", async (req, res) => {
-		const {
-			printerName,
-			templateType,
-			templateData,
-			printerOptions = {},
-		} = req.body; // Ensure printerOptions exists
-
-		if (!printerName)
-			return res.status(400).json({ error: "Missing 'printerName'." });
-		if (!templateType)
-			return res.status(400).json({ error: "Missing 'templateType'." });
-		if (templateData === undefined)
-			return res.status(400).json({ error: "Missing 'templateData'." });
-
-		const printers = getDiscoveredPrinters();
-		if (!printers)
-			return res
-				.status(500)
-				.json({ error: "Printer configuration unavailable." });
-
-		const config = printers.find(
-			(p) => p.name.toLowerCase() === printerName.toLowerCase()
-		);
+	// --- Per-printer settings (persisted in userData/printer-settings.json) ---
+	app.get("/api/printers/:id/settings", requireScope("read"), (req, res) => {
+		const config = findPrinter(getDiscoveredPrinters() || [], req.params.id);
 		if (!config)
 			return res
 				.status(404)
-				.json({ error: `Printer named '${printerName}' not found.` });
+				.json({ error: `Printer '${req.params.id}' not found.` });
+		res.json({
+			printerId: config.id,
+			settings: getPrinterSettings(config.id),
+			paper: getPrinterPaper(config.id),
+			printerOptions: withPrinterDefaults(config, {}), // What a job without overrides uses
+		});
+	});
 
-		let printDataArray; // Holds command objects from template
-		try {
-			const templateFunction = templateGenerators[templateType.toUpperCase()];
-			if (!templateFunction)
-				throw new Error(`Template type '${templateType}' not found.`);
-			printDataArray = templateFunction(templateData); // Call template generator
-			if (!Array.isArray(printDataArray))
-				throw new Error("Template did not return an array of commands.");
-			console.log(
-				`API Print: Generated ${printDataArray.length} commands via template '${templateType}' for '${config.name}'.`
-			);
-		} catch (templateError) {
-			console.error(
-				`API Print: Error generating print data from template '${templateType}':`,
-				templateError
-			);
-			return res
-				.status(500)
-				.json({ error: `Template error: ${templateError.message}` });
+	app.put(
+		"/api/printers/:id/settings",
+		requireScope("admin"),
+		async (req, res) => {
+			const config = findPrinter(getDiscoveredPrinters() || [], req.params.id);
+			if (!config)
+				return res
+					.status(404)
+					.json({ error: `Printer '${req.params.id}' not found.` });
+			try {
+				const settings = await setPrinterSettings(config.id, req.body || {});
+				console.log(`API Settings: Updated settings for '${config.name}'.`);
+				res.json({
+					printerId: config.id,
+					settings,
+					paper: getPrinterPaper(config.id),
+					printerOptions: withPrinterDefaults(config, {}),
+				});
+			} catch (settingsError) {
+				res
+					.status(settingsError.statusCode || 500)
+					.json({ error: settingsError.message });
+			}
 		}
+	);
 
-		console.log(
-			`API Print: Job for '${config.name}' (ConnType: ${config.connectionType}, Virtual: ${config.isVirtual}) using template '${templateType}'`
+	// --- Cash drawer on the printer's drawer port (see cash-drawer.js) ---
+	// drawerOpen is the printer's reading of connector pin 3 (DLE EOT 1); drawers differ in
+	// which level means "open", and OS spooler printers cannot report it at all (null).
+	const readDrawerStatus = async (config) => {
+		const hardwareStatus = await runExclusive(config.id, () =>
+			queryPrinterHardwareStatus(config)
 		);
+		return {
+			drawerOpen:
+				hardwareStatus && !hardwareStatus.error
+					? hardwareStatus.drawerOpen
+					: null,
+			hardwareStatus,
+		};
+	};
 
-		if (config.connectionType === "VIRTUAL") {
-			console.log(`API Print VIRTUAL: Handling '${config.name}'`);
-			const htmlContent = commandsToSimpleHtml(
-				printDataArray,
-				`Print to ${config.name}`
-			); // Use the generated printDataArray
-			const tempHtmlPath = path.join(
-				os.tmpdir(),
-				`bridge_vp_${Date.now()}.html`
-			);
-			try {
-				await fs.writeFile(tempHtmlPath, htmlContent, "utf8");
-				const vpWin = new BrowserWindow({
-					show: false,
-					webPreferences: { nodeIntegration: false, contextIsolation: true },
-				});
+	app.get(
+		"/api/printers/:id/drawer",
+		requireScope("read", "print"),
+		async (req, res) => {
+			const config = findPrinter(getDiscoveredPrinters() || [], req.params.id);
+			if (!config)
+				return res
+					.status(404)
+					.json({ error: `Printer '${req.params.id}' not found.` });
+			res.json({ printerId: config.id, ...(await readDrawerStatus(config)) });
+		}
+	);
 
-				vpWin.webContents.on("did-fail-load", (e, errCode, errDesc) => {
-					console.error("VP window load fail:", errDesc);
-					if (!vpWin.isDestroyed()) vpWin.close();
-					fs.unlink(tempHtmlPath).catch(() => {});
-					if (!res.headersSent)
-						res
-							.status(500)
-							.json({ error: `Virtual print page load fail: ${errDesc}` });
+	// Body (all optional): { pin: 2 | 5, onMs, offMs }
+	app.post(
+		"/api/printers/:id/drawer",
+		requireScope("print"),
+		async (req, res) => {
+			const config = findPrinter(getDiscoveredPrinters() || [], req.params.id);
+			if (!config)
+				return res
+					.status(404)
+					.json({ error: `Printer '${req.params.id}' not found.` });
+			if (!isRawPrinter(config))
+				return res.status(400).json({
+					error: `Printer '${config.name}' (${config.connectionType}) has no drawer port.`,
 				});
-				await vpWin.loadFile(tempHtmlPath);
-
-				vpWin.webContents.print(
-					{
-						silent:
-							printerOptions.silent !== undefined
-								? printerOptions.silent
-								: true,
-						deviceName: config.name,
-						printBackground: true,
-						color: false,
-						margins: printerOptions.margins || { marginType: "printableArea" },
-					},
-					(success, reason) => {
-						if (!vpWin.isDestroyed()) vpWin.close();
-						fs.unlink(tempHtmlPath).catch(() => {});
-						if (success) {
-							if (!res.headersSent)
-								res.json({
-									success: true,
-									message: `Sent to virtual printer ${config.name}`,
-								});
-						} else {
-							if (!res.headersSent)
-								res
-									.status(500)
-									.json({ error: `Virtual print fail: ${reason}` });
-						}
-					}
-				);
-			} catch (vpErr) {
-				console.error("VP setup error:", vpErr);
-				if (fs.existsSync(tempHtmlPath))
-					await fs.unlink(tempHtmlPath).catch(() => {}); // Await cleanup
-				if (!res.headersSent)
-					res
-						.status(500)
-						.json({ error: `Virtual print prep error: ${vpErr.message}` });
-			}
-		} else if (config.connectionType === "RAW_USB") {
-			const logPrefix = `API_PRINT_RAW_USB [${config.name}]:`;
-			console.log(`${logPrefix} Handling job.`);
-			if (!config.vid || !config.pid)
+			let pulse;
+			try {
+				pulse = resolveDrawerPulse(req.body || {});
+			} catch (drawerError) {
 				return res
-					.status(400)
-					.json({ error: "RAW_USB config missing VID/PID." });
+					.status(drawerError.statusCode || 500)
+					.json({ error: drawerError.message });
+			}
 
-			let usbDeviceInstance = null; // From 'usb' package
 			try {
-				const rawBuffer = await generatePrintBufferNTP(
-					printDataArray,
-					printerOptions
+				const printerOptions = withPrinterDefaults(config, {});
+				// Queued behind any job printing on this printer, like status polling
+				await runExclusive(config.id, () =>
+					sendRawBuffer(config, drawerKickBuffer(pulse), printerOptions)
 				);
-				if (!rawBuffer || rawBuffer.length === 0)
-					throw new Error("NTP generated empty buffer for RAW_USB print.");
 				console.log(
-					`${logPrefix} Generated ${rawBuffer.length} bytes using NTP buffer helper.`
+					`API Drawer: Pulsed pin ${pulse.pin} on '${config.name}' (${pulse.onMs}/${pulse.offMs} ms).`
 				);
+			} catch (sendError) {
+				console.error(
+					`API Drawer: '${config.name}' failed: ${sendError.message}`
+				);
+				return res
+					.status(500)
+					.json({ error: `Drawer kick failed: ${sendError.message}` });
+			}
+			// Let the solenoid release the latch before reading the drawer sensor
+			await new Promise((resolve) =>
+				setTimeout(resolve, pulse.onMs + DRAWER_STATUS_DELAY_MS)
+			);
+			res.json({
+				success: true,
+				printerId: config.id,
+				...pulse,
+				...(await readDrawerStatus(config)),
+			});
+		}
+	);
 
-				usbDeviceInstance = usb.findByIds(config.vid, config.pid);
-				if (!usbDeviceInstance)
-					throw new Error(
-						`Device VID:0x${config.vid.toString(
-							16
-						)} PID:0x${config.pid.toString(16)} not found. Disconnected?`
-					);
+	// --- Manually configured printers (persisted in userData/printers.json) ---
+	app.post("/api/printers", requireScope("admin"), async (req, res) => {
+		try {
+			const printer = await addManualPrinter(req.body || {});
+			console.log(`API Registry: Added '${printer.name}' (${printer.id}).`);
+			onPrinterRegistryChanged();
+			res.status(201).json(printer);
+		} catch (registryError) {
+			res
+				.status(registryError.statusCode || 500)
+				.json({ error: registryError.message });
+		}
+	});
 
-				// Promisified open ensures device.open() completes or fails clearly
-				await new Promise((resolve, reject) => {
-					try {
-						usbDeviceInstance.open();
-						setTimeout(resolve, 50);
-					} catch (e) {
-						// open is sync
-						reject(e);
-					}
+	app.put("/api/printers/:id", requireScope("admin"), async (req, res) => {
+		try {
+			const printer = await updateManualPrinter(req.params.id, req.body || {});
+			if (!printer)
+				return res.status(404).json({
+					error: `Manually configured printer '${req.params.id}' not found.`,
 				});
-				console.log(`${logPrefix} USB Device opened.`);
+			console.log(`API Registry: Updated '${printer.name}' (${printer.id}).`);
+			onPrinterRegistryChanged();
+			res.json(printer);
+		} catch (registryError) {
+			res
+				.status(registryError.statusCode || 500)
+				.json({ error: registryError.message });
+		}
+	});
 
-				let outEndpoint = null;
-				if (!usbDeviceInstance.interfaces) {
-					console.log(
-						`${logPrefix} No interfaces found initially, attempting device reset...`
-					);
-					await new Promise((resolveReset, rejectReset) => {
-						usbDeviceInstance.reset((error) =>
-							error ? rejectReset(error) : setTimeout(resolveReset, 250)
-						);
-					});
-					console.log(
-						`${logPrefix} Device reset complete. Re-finding device...`
-					);
-					usbDeviceInstance = usb.findByIds(config.vid, config.pid); // Re-fetch device
-					if (!usbDeviceInstance || !usbDeviceInstance.interfaces)
-						throw new Error("Failed to get interfaces even after reset.");
-				}
+	app.delete("/api/printers/:id", requireScope("admin"), async (req, res) => {
+		try {
+			const removed = await removeManualPrinter(req.params.id);
+			if (!removed)
+				return res.status(404).json({
+					error: `Manually configured printer '${req.params.id}' not found.`,
+				});
+			await removePrinterSettings(req.params.id);
+			console.log(`API Registry: Removed '${req.params.id}'.`);
+			onPrinterRegistryChanged();
+			res.json({ success: true });
+		} catch (registryError) {
+			res.status(500).json({ error: registryError.message });
+		}
+	});
 
-				for (const iface of usbDeviceInstance.interfaces) {
-					try {
-						if (iface.isKernelDriverActive()) {
-							console.log(
-								`${logPrefix} Detaching kernel driver for interface ${iface.interfaceNumber}...`
-							);
-							await new Promise((resolveDetach) => {
-								iface.detachKernelDriver();
-								setTimeout(resolveDetach, 100);
-							});
-						}
-						await new Promise((resolveClaim) => {
-							iface.claim();
-							setTimeout(resolveClaim, 50);
-						});
-						console.log(
-							`${logPrefix} Claimed interface ${iface.interfaceNumber}.`
-						);
-						for (const endpoint of iface.endpoints)
-							if (endpoint.direction === "out") {
-								outEndpoint = endpoint;
-								break;
-							}
-						if (outEndpoint) break;
-						else iface.release(true, () => {}); // Auto-re-attach kernel if needed
-					} catch (claimErr) {
-						console.warn(
-							`${logPrefix} Could not claim IF ${iface.interfaceNumber}: ${claimErr.message}. Trying next.`
-						);
-					}
-				}
-				if (!outEndpoint)
-					throw new Error(
-						"No suitable OUT endpoint found. Ensure Zadig/WinUSB for Windows or correct libusb permissions."
-					);
-				console.log(
-					`${logPrefix} Using OUT endpoint: ${outEndpoint.address}. Transferring ${rawBuffer.length} bytes...`
-				);
+	// { html } instead of templateType/templateData prints an HTML document: as it is on
+	// VIRTUAL printers, rendered to raster on ESC/POS printers (see html-raster.js).
+	// "wait": true answers once the job has finished instead of with 202; "returnPdf": true
+	// also saves a PDF on VIRTUAL printers and returns it base64 (see pdf-archive.js).
+	app.post(
+		"/api/print",
+		requireScope("print"),
+		withIdempotencyKey,
+		async (req, res) => {
+			const { printerName, printerRole, printerOptions = {} } = req.body; // Ensure printerOptions exists
+			const returnPdf = req.body.returnPdf === true;
+			const wait = req.body.wait === true || returnPdf;
+			const {
+				templateType,
+				templateData,
+				error: htmlError,
+			} = withHtmlTemplate(req.body);
 
-				await new Promise((resolveTransfer, rejectTransfer) => {
-					outEndpoint.transfer(rawBuffer, (error) => {
-						if (error)
-							rejectTransfer(
-								new Error(`USB Transfer Error: ${error.message || error}`)
-							);
-						else resolveTransfer();
-					});
-				});
-				console.log(`${logPrefix} USB data transfer complete.`);
+			if (!printerName && !printerRole)
+				return res
+					.status(400)
+					.json({ error: "Missing 'printerName' or 'printerRole'." });
+			if (htmlError) return res.status(400).json({ error: htmlError });
+			if (!templateType)
+				return res.status(400).json({ error: "Missing 'templateType'." });
+			if (templateData === undefined)
+				return res.status(400).json({ error: "Missing 'templateData'." });
+			if (!resolveTemplateGenerator(templateType))
+				return res
+					.status(400)
+					.json({ error: `Template type '${templateType}' not found.` });
+			const optionsError = checkPrinterOptions(printerOptions);
+			if (optionsError) return res.status(400).json({ error: optionsError });
 
-				const ifaceToRelease = usbDeviceInstance.interfaces?.find(
-					(i) => i.interfaceNumber === outEndpoint.interfaceNumber
-				);
-				if (ifaceToRelease?.claimed)
-					await new Promise((r) => ifaceToRelease.release(true, r)); // Release and re-attach kernel
+			const printers = getDiscoveredPrinters();
+			if (!printers)
+				return res
+					.status(500)
+					.json({ error: "Printer configuration unavailable." });
 
-				if (!res.headersSent)
-					res.json({
-						success: true,
-						message: `Job sent to RAW_USB printer '${config.name}'.`,
+			const queueFor = (config) =>
+				queuePrintJob(config, {
+					templateType,
+					templateData,
+					printerOptions: returnPdf
+						? { ...printerOptions, returnPdf: true }
+						: printerOptions,
+					backups: resolveBackupPrinters(
+						config,
+						printers,
+						printerName ? null : printerRole
+					),
+				});
+
+			if (printerRole && !printerName) {
+				// A role fans out to every printer mapped to it (e.g. two kitchen printers)
+				const resolved = resolvePrinterRole(printerRole, printers);
+				if (!resolved)
+					return res
+						.status(404)
+						.json({ error: `Printer role '${printerRole}' not found.` });
+				if (resolved.printers.length === 0)
+					return res.status(404).json({
+						error: `No printer for role '${printerRole}' is currently available (configured: ${resolved.missing.join(
+							", "
+						)}).`,
 					});
-			} catch (rawError) {
-				console.error(
-					`${logPrefix} Error: ${rawError.message}`,
-					rawError.stack
-				);
-				if (!res.headersSent)
-					res.status(500).json({
-						error: `RAW_USB print failed for '${config.name}': ${rawError.message}`,
+				const jobs = resolved.printers.map(queueFor);
+				if (wait) {
+					const results = await Promise.all(jobs.map(waitForJobResult));
+					const statusCode = waitStatusCode(results);
+					return res.status(statusCode).json({
+						success: statusCode !== 500,
+						role: printerRole,
+						jobs: results,
+						missingPrinters: resolved.missing,
 					});
-			} finally {
-				if (usbDeviceInstance && usbDeviceInstance.opened) {
-					try {
-						usbDeviceInstance.close();
-						console.log(`${logPrefix} USB Device closed in finally.`);
-					} catch (e) {
-						console.error(`${logPrefix} USB Device close error in finally:`, e);
-					}
 				}
+				return res.status(202).json({
+					success: true,
+					role: printerRole,
+					jobs: jobs.map(toJobSummary),
+					missingPrinters: resolved.missing,
+					message: `Job queued for ${jobs.length} printer(s) in role '${printerRole}'.`,
+				});
 			}
-		} else if (config.connectionType === "MDNS_LAN") {
-			const logPrefix = `API_PRINT_MDNS_LAN [${config.name}]:`;
-			console.log(`${logPrefix} Handling printer.`);
-			if (!config.ip || !config.port)
+
+			const config = findPrinter(printers, printerName);
+			if (!config)
 				return res
-					.status(400)
-					.json({ error: "MDNS_LAN config missing IP/Port." });
+					.status(404)
+					.json({ error: `Printer named '${printerName}' not found.` });
 
-			let ntpLan;
-			try {
-				ntpLan = new ThermalPrinter({
-					type:
-						(printerOptions?.type &&
-							PrinterTypes[printerOptions.type.toUpperCase()]) ||
-						PrinterTypes.EPSON,
-					interface: `tcp://${config.ip}:${config.port}`,
-					characterSet:
-						(printerOptions?.characterSet &&
-							CharacterSet[printerOptions.characterSet.toUpperCase()]) ||
-						CharacterSet.UTF_8,
-					timeout: printerOptions?.timeout || 7000,
+			const job = queueFor(config);
+			if (wait) {
+				const result = await waitForJobResult(job);
+				const statusCode = waitStatusCode([result]);
+				return res.status(statusCode).json({
+					success: statusCode !== 500,
+					...result,
 				});
-				// --- Generate commands using ntpLan instance ---
-				// This block is the same as the generatePrintBufferNTP but using ntpLan
-				const resetStylesTCP = () => {
-					/* Use ntpLan... */
-				};
-				if (printerOptions?.initialAlign)
-					ntpLan.align(printerOptions.initialAlign.toUpperCase());
-				for (const cmd of printDataArray) {
-					resetStylesTCP(); /* Full switch case here using ntpLan... */
-				}
-				resetStylesTCP();
-				if (!printDataArray.some((cmd) => cmd.type?.toLowerCase() === "cut"))
-					ntpLan.cut();
-				// --- End command generation ---
-				await ntpLan.execute();
-				console.log(`${logPrefix} Job sent successfully via TCP.`);
-				if (!res.headersSent)
-					res.json({
-						success: true,
-						message: `Job sent to MDNS_LAN printer '${config.name}'.`,
-					});
-			} catch (mdnsError) {
-				console.error(
-					`${logPrefix} Error: ${mdnsError.message}`,
-					mdnsError.stack
-				);
-				if (!res.headersSent)
-					res
-						.status(500)
-						.json({ error: `MDNS_LAN print failed: ${mdnsError.message}` });
 			}
-		} else if (
-			config.connectionType &&
-			config.connectionType.startsWith("OS_")
-		) {
-			// OS_USB, OS_LAN, OS_LOCAL
-			const logPrefix = `API_PRINT_OS_CMD [${config.name}]:`;
-			console.log(`${logPrefix} Handling OS-queued printer.`);
-			if (!config.osName)
+			res.status(202).json({
+				success: true,
+				jobId: job.id,
+				status: job.state,
+				statusUrl: `/api/jobs/${job.id}`,
+				message: `Job queued for '${config.name}'.`,
+			});
+		}
+	);
+
+	// Same body as /api/print; returns what the ticket will look like without printing it.
+	// ?format=png (or "format": "png") renders at the printer's dot width instead of HTML.
+	app.post("/api/preview", requireScope("print"), async (req, res) => {
+		const { printerName, printerRole, printerOptions = {} } = req.body;
+		const {
+			templateType,
+			templateData,
+			error: htmlError,
+		} = withHtmlTemplate(req.body);
+		const format = String(req.query.format || req.body.format || "html")
+			.trim()
+			.toLowerCase();
+
+		if (htmlError) return res.status(400).json({ error: htmlError });
+		if (!templateType)
+			return res.status(400).json({ error: "Missing 'templateType'." });
+		if (templateData === undefined)
+			return res.status(400).json({ error: "Missing 'templateData'." });
+		if (format !== "html" && format !== "png")
+			return res
+				.status(400)
+				.json({ error: "'format' must be 'html' or 'png'." });
+		if (!resolveTemplateGenerator(templateType))
+			return res
+				.status(400)
+				.json({ error: `Template type '${templateType}' not found.` });
+
+		// The printer is optional: template authors can preview with the default layout
+		let config = null;
+		if (printerName || printerRole) {
+			const printers = getDiscoveredPrinters() || [];
+			config = printerName
+				? findPrinter(printers, printerName)
+				: resolvePrinterRole(printerRole, printers)?.printers[0] || null;
+			if (!config)
+				return res.status(404).json({
+					error: printerName
+						? `Printer named '${printerName}' not found.`
+						: `No printer for role '${printerRole}' is currently available.`,
+				});
+		}
+
+		const optionsError = checkPrinterOptions(printerOptions);
+		if (optionsError) return res.status(400).json({ error: optionsError });
+
+		try {
+			const options = config
+				? withPrinterDefaults(config, printerOptions)
+				: {
+						...printerOptions,
+						paper: resolvePaperProfile(printerOptions.paper),
+				  };
+			const layout = toHtmlLayout(options);
+			const copies = resolveCopies(options.copies);
+			const { printDataArray, html } = renderTemplate(
+				templateType,
+				templateData,
+				options.paper
+			);
+			if (html !== undefined) {
+				// What an ESC/POS printer gets: the page dithered at the printable width
+				const copiesHtml = withCopiesHtml(html, copies);
+				if (format === "html") return res.type("html").send(copiesHtml);
+				const png = await renderHtmlToRasterPng(copiesHtml, {
+					width: printableDots(options.paper),
+					maxHeight: options.paper.maxPageDots,
+				});
+				return res.type("png").send(png);
+			}
+			const htmlContent = commandsToSimpleHtml(
+				withCopies(printDataArray, copies),
+				`Preview: ${templateType}`,
+				layout
+			);
+			if (format === "html") return res.type("html").send(htmlContent);
+			const png = await renderHtmlToPng(htmlContent, {
+				width: layout.dotWidth,
+			});
+			res.type("png").send(png);
+		} catch (previewError) {
+			console.error(`API_PREVIEW [${templateType}]: ${previewError.message}`);
+			res
+				.status(previewError.statusCode || 500)
+				.json({ error: `Preview failed: ${previewError.message}` });
+		}
+	});
+
+	// One order in, one KOT per kitchen station out (see kot-routing.js for the rules format)
+	app.post(
+		"/api/print/kot",
+		requireScope("print"),
+		withIdempotencyKey,
+		(req, res) => {
+			const {
+				templateType = "KOT_SAVE",
+				templateData,
+				printerOptions = {},
+				routing: routingOverride,
+			} = req.body;
+
+			if (!templateData || !Array.isArray(templateData.items))
 				return res
 					.status(400)
-					.json({ error: "OS Printer config missing osName." });
+					.json({ error: "Missing 'templateData.items' array." });
+			if (!resolveTemplateGenerator(templateType))
+				return res
+					.status(400)
+					.json({ error: `Template type '${templateType}' not found.` });
+			const optionsError = checkPrinterOptions(printerOptions);
+			if (optionsError) return res.status(400).json({ error: optionsError });
 
+			let routing;
 			try {
-				const rawBufferOs = await generatePrintBufferNTP(
-					printDataArray,
-					printerOptions
-				);
-				if (!rawBufferOs || rawBufferOs.length === 0)
-					throw new Error("Generated empty buffer for OS_CMD print.");
-				const tempFilePathOs = path.join(
-					os.tmpdir(),
-					`os_cmd_job_${Date.now()}.bin`
-				);
-				await fs.writeFile(tempFilePathOs, rawBufferOs);
-				console.log(
-					`${logPrefix} Raw buffer (${rawBufferOs.length} bytes) for '${config.osName}' written to ${tempFilePathOs}`
-				);
+				routing = routingOverride
+					? normalizeKotRouting(routingOverride)
+					: getKotRouting();
+			} catch (routingError) {
+				return res.status(400).json({ error: routingError.message });
+			}
+			if (routing.stations.length === 0)
+				return res.status(409).json({
+					error: "No KOT routing configured. PUT /api/kot-routing first.",
+				});
+
+			const printers = getDiscoveredPrinters();
+			if (!printers)
+				return res
+					.status(500)
+					.json({ error: "Printer configuration unavailable." });
 
-				let command;
-				const quotedOsName = `"${config.osName}"`;
-				if (os.platform() === "win32") {
-					const escPsName = quotedOsName.replace(/"/g, '`"');
-					command = `powershell -NoProfile -NonInteractive -Command "Get-Content -Path '${tempFilePathOs}' -Encoding Byte -Raw | Out-Printer -Name ${escPsName}"`;
+			const { groups, unrouted } = splitOrderByStation(templateData, routing);
+			const stationResults = groups.map(({ station, items }) => {
+				let targets = [];
+				if (station.printerName) {
+					const config = findPrinter(printers, station.printerName);
+					if (config) targets = [config];
 				} else {
-					command = `lp -d ${quotedOsName} -o raw "${tempFilePathOs}"`;
+					targets =
+						resolvePrinterRole(station.printerRole, printers)?.printers || [];
 				}
-				console.log(`${logPrefix} Executing: ${command}`);
-
-				exec(command, { timeout: 15000 }, async (error, stdout, stderr) => {
-					// Use callback for exec
-					await fs
-						.unlink(tempFilePathOs)
-						.catch((e) =>
-							console.warn("Temp OS file unlink error:", e.message)
-						);
-					if (error) {
-						console.error(
-							`${logPrefix} OS Command FAIL: ${error.message}`,
-							`STDOUT: ${stdout}`,
-							`STDERR: ${stderr}`
-						);
-						if (!res.headersSent)
-							res.status(500).json({
-								error: `OS print command failed: ${stderr || error.message}`,
-							});
-					} else {
-						console.log(
-							`${logPrefix} OS Command SUCCESS. Job sent to queue for '${config.osName}'.`
-						);
-						if (!res.headersSent)
-							res.json({
-								success: true,
-								message: `Job sent to OS printer '${config.name}'.`,
-							});
-					}
-				});
-			} catch (osCmdError) {
-				console.error(
-					`${logPrefix} Error: ${osCmdError.message}`,
-					osCmdError.stack
-				);
-				if (!res.headersSent)
-					res.status(500).json({
-						error: `OS_CMD print setup failed: ${osCmdError.message}`,
-					});
-			}
-		} else {
-			console.error(
-				`API Print: Unhandled printer configuration. ConnType: '${config.connectionType}' for printer '${config.name}'`
+				if (targets.length === 0)
+					return {
+						station: station.name,
+						itemCount: items.length,
+						success: false,
+						error: `No available printer for station '${station.name}' (${
+							station.printerName || `role '${station.printerRole}'`
+						}).`,
+					};
+				const stationData = {
+					...templateData,
+					items,
+					stationName: station.name,
+				};
+				return {
+					station: station.name,
+					itemCount: items.length,
+					success: true,
+					jobs: targets
+						.map((config) =>
+							queuePrintJob(config, {
+								templateType,
+								templateData: stationData,
+								printerOptions,
+								backups: resolveBackupPrinters(
+									config,
+									printers,
+									station.printerName ? null : station.printerRole
+								),
+							})
+						)
+						.map(toJobSummary),
+				};
+			});
+
+			const allQueued = stationResults.every((r) => r.success);
+			console.log(
+				`API Print KOT: Routed ${templateData.items.length} item(s) to ${groups.length} station(s), ${unrouted.length} unrouted.`
 			);
-			if (!res.headersSent)
-				res.status(400).json({
-					error: `Cannot print. Unhandled config for '${config.name}'.`,
-				});
+			res.status(allQueued && unrouted.length === 0 ? 202 : 207).json({
+				success: allQueued && unrouted.length === 0,
+				stations: stationResults,
+				unroutedItems: unrouted,
+			});
 		}
+	);
+
+	app.get("/api/kot-routing", requireScope("read"), (req, res) => {
+		res.json(getKotRouting());
 	});
 
-	const server = app.listen(API_PORT, "0.0.0.0", () => {
-		console.log(`Bridge API Server (Multi-Path Printing Mode) listening.`);
-		console.log(`  Local:            http://localhost:${API_PORT}`);
-		console.log(
-			`  On Your Network:  http://<your-local-ip>:${API_PORT} (approx)`
-		); // Inform user
+	app.put("/api/kot-routing", requireScope("admin"), async (req, res) => {
+		try {
+			res.json(await setKotRouting(req.body || {}));
+		} catch (routingError) {
+			res
+				.status(routingError.statusCode || 500)
+				.json({ error: routingError.message });
+		}
 	});
-	server.on("error", (error) => {
-		if (error.syscall !== "listen") {
-			throw error;
+
+	// --- Logical printer roles (persisted in userData/roles.json) ---
+	app.get("/api/roles", requireScope("read"), (req, res) => {
+		const printers = getDiscoveredPrinters() || [];
+		res.json(
+			listPrinterRoles().map((role) => {
+				const resolved = resolvePrinterRole(role.name, printers);
+				return {
+					...role,
+					available: resolved.printers.map((p) => ({
+						id: p.id,
+						name: p.name,
+						status: p.status,
+					})),
+					missing: resolved.missing,
+				};
+			})
+		);
+	});
+
+	app.put("/api/roles/:role", requireScope("admin"), async (req, res) => {
+		try {
+			const role = await setPrinterRole(req.params.role, req.body || {});
+			console.log(`API Roles: '${role.name}' -> ${role.printers.join(", ")}`);
+			res.json(role);
+		} catch (roleError) {
+			res
+				.status(roleError.statusCode || 500)
+				.json({ error: roleError.message });
 		}
-		const bind =
-			typeof API_PORT === "string" ? "Pipe " + API_PORT : "Port " + API_PORT;
-		switch (error.code) {
-			case "EACCES":
-				console.error(
-					`API Server Critical Error: ${bind} requires elevated privileges/is blocked.`
+	});
+
+	app.delete("/api/roles/:role", requireScope("admin"), async (req, res) => {
+		try {
+			if (!(await removePrinterRole(req.params.role)))
+				return res
+					.status(404)
+					.json({ error: `Printer role '${req.params.role}' not found.` });
+			res.json({ success: true });
+		} catch (roleError) {
+			res.status(500).json({ error: roleError.message });
+		}
+	});
+
+	app.get("/api/templates", requireScope("read"), (req, res) => {
+		const { templates, errors } = listDiskTemplates();
+		res.json({
+			templatesDir: getTemplatesDir(),
+			assetsDir: getAssetsDir(),
+			templates: [
+				...Object.keys(templateGenerators).map((type) => ({
+					type,
+					source: "builtin",
+				})),
+				...templates.map((t) => ({ ...t, source: "file" })),
+			],
+			errors,
+		});
+	});
+
+	// Jobs are kept on disk for the retention period (see job-history.js). Query filters:
+	// ?orderNumber=..&printer=<id or name>&printerId=..&state=..&from=..&to=..&limit=..
+	app.get("/api/jobs", requireScope("read", "print"), async (req, res) => {
+		try {
+			const jobs = await searchJobHistory(req.query, getPrintJob);
+			res.json(jobs.map(toPublicJob));
+		} catch (historyError) {
+			res
+				.status(historyError.statusCode || 500)
+				.json({ error: historyError.message });
+		}
+	});
+
+	// ?details=true adds the template data, request printerOptions and generated commands
+	app.get("/api/jobs/:id", requireScope("read", "print"), async (req, res) => {
+		const job =
+			getPrintJob(req.params.id) || (await getJobHistoryRecord(req.params.id));
+		if (!job)
+			return res
+				.status(404)
+				.json({ error: `Job '${req.params.id}' not found.` });
+		res.json(
+			req.query.details === "true" ? toJobDetails(job) : toPublicJob(job)
+		);
+	});
+
+	// Prints a past job again from its template data, with a REPRINT banner. Body (optional):
+	// { printerName } to send it to another printer than the original one.
+	app.post("/api/jobs/:id/reprint", requireScope("print"), async (req, res) => {
+		const original =
+			getPrintJob(req.params.id) || (await getJobHistoryRecord(req.params.id));
+		if (!original)
+			return res
+				.status(404)
+				.json({ error: `Job '${req.params.id}' not found.` });
+		if (!resolveTemplateGenerator(original.templateType))
+			return res.status(409).json({
+				error: `Template type '${original.templateType}' no longer exists.`,
+			});
+		const printers = getDiscoveredPrinters();
+		if (!printers)
+			return res
+				.status(500)
+				.json({ error: "Printer configuration unavailable." });
+		const { printerName } = req.body || {};
+		const config = printerName
+			? findPrinter(printers, printerName)
+			: findPrinter(printers, original.printer.id);
+		if (!config)
+			return res.status(404).json({
+				error: `Printer '${
+					printerName || original.printer.name
+				}' is not available.`,
+			});
+
+		const printerOptions = { ...original.requestOptions };
+		delete printerOptions.returnPdf; // The POS asked for the first PDF, not this one
+		const job = queuePrintJob(config, {
+			templateType: original.templateType,
+			templateData: original.templateData,
+			printerOptions,
+			reprintOf: original.id,
+			backups: resolveBackupPrinters(config, printers),
+		});
+		res.status(202).json({
+			success: true,
+			...toJobSummary(job),
+			reprintOf: original.id,
+			message: `Reprint of job ${original.id} queued for '${config.name}'.`,
+		});
+	});
+
+	app.get("/api/job-history", requireScope("read"), (req, res) => {
+		res.json(getJobHistorySettings());
+	});
+
+	app.put("/api/job-history", requireScope("admin"), async (req, res) => {
+		try {
+			res.json(await setJobHistorySettings(req.body || {}));
+		} catch (historyError) {
+			res
+				.status(historyError.statusCode || 500)
+				.json({ error: historyError.message });
+		}
+	});
+
+	// How long an Idempotency-Key / jobKey on /api/print and /api/print/kot is remembered
+	app.get("/api/idempotency", requireScope("read"), (req, res) => {
+		res.json(getIdempotencySettings());
+	});
+
+	app.put("/api/idempotency", requireScope("admin"), async (req, res) => {
+		try {
+			res.json(await setIdempotencySettings(req.body || {}));
+		} catch (settingsError) {
+			res
+				.status(settingsError.statusCode || 500)
+				.json({ error: settingsError.message });
+		}
+	});
+
+	// Server-Sent Events: printer list/status changes, discovery progress and job updates.
+	// Optional comma separated filters: ?printerId=..&jobId=..&types=job.updated,printer.*
+	// (see event-bus.js for the event shapes and how the filters combine).
+	app.get("/api/events", requireScope("read", "print"), (req, res) => {
+		const toList = (value) =>
+			String(value || "")
+				.split(",")
+				.map((v) => v.trim())
+				.filter(Boolean);
+		const filter = {
+			types: toList(req.query.types),
+			printerIds: toList(req.query.printerId),
+			jobIds: toList(req.query.jobId),
+		};
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no", // Don't let a reverse proxy buffer the stream
+		});
+		res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+		const sendEvent = (event) => {
+			if (!eventMatchesFilter(event, filter)) return;
+			res.write(
+				`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+					event
+				)}\n\n`
+			);
+		};
+		// Replay what a reconnecting client missed (the browser sends Last-Event-ID)
+		getEventsSince(req.get("Last-Event-ID") ?? req.query.lastEventId).forEach(
+			sendEvent
+		);
+		const unsubscribe = subscribeEvents(sendEvent);
+		const heartbeat = setInterval(
+			() => res.write(": ping\n\n"),
+			EVENT_STREAM_HEARTBEAT_MS
+		);
+		console.log(`API_EVENTS: Client connected (${JSON.stringify(filter)}).`);
+		req.on("close", () => {
+			clearInterval(heartbeat);
+			unsubscribe();
+			console.log("API_EVENTS: Client disconnected.");
+		});
+	});
+
+	// Public, certificates are not secret: POS devices download it to trust the HTTPS listener
+	if (tlsCredentials)
+		app.get("/bridge-certificate.crt", (req, res) => {
+			res
+				.type("application/x-x509-ca-cert")
+				.attachment("pos-print-bridge.crt")
+				.send(tlsCredentials.cert);
+		});
+
+	const bindAddress = getApiBindAddress();
+	const listeners = [];
+	if (isHttpEnabled())
+		listeners.push({
+			scheme: "http",
+			port: API_PORT,
+			server: http.createServer(app),
+		});
+	if (isHttpsEnabled()) {
+		if (tlsCredentials)
+			listeners.push({
+				scheme: "https",
+				port: getApiTlsSettings().httpsPort,
+				server: https.createServer(
+					{ cert: tlsCredentials.cert, key: tlsCredentials.key },
+					app
+				),
+			});
+		else
+			console.error("API Server: HTTPS enabled but no certificate, skipped.");
+	}
+	if (listeners.length === 0) {
+		stopWatchingDiskTemplates();
+		throw new Error(
+			"No API listener could be started (HTTPS without a certificate)."
+		);
+	}
+
+	// One app behind every listener; template watching stops when the last one closes
+	let openListeners = listeners.length;
+	return listeners.map(({ scheme, port, server }) => {
+		server.listen(port, bindAddress, () => {
+			console.log(
+				`Bridge API Server (Multi-Path Printing Mode) listening (${scheme.toUpperCase()}).`
+			);
+			console.log(`  Local:            ${scheme}://localhost:${port}`);
+			if (bindAddress === "0.0.0.0")
+				console.log(
+					`  On Your Network:  ${scheme}://<your-local-ip>:${port} (approx)`
 				);
-				process.exit(1);
-				break;
-			case "EADDRINUSE":
-				console.error(`API Server Critical Error: ${bind} is already in use.`);
-				process.exit(1);
-				break;
-			default:
-				console.error(`API Server Critical Error: ${error.code}`, error);
+			// Inform user
+			else console.log(`  On Your Network:  disabled (localhost only)`);
+		});
+		server.on("close", () => {
+			if (--openListeners === 0) stopWatchingDiskTemplates();
+		});
+		server.on("error", (error) => {
+			if (error.syscall !== "listen") {
 				throw error;
-		}
+			}
+			const bind = `${scheme.toUpperCase()} port ${port}`;
+			switch (error.code) {
+				case "EACCES":
+					console.error(
+						`API Server Critical Error: ${bind} requires elevated privileges/is blocked.`
+					);
+					process.exit(1);
+					break;
+				case "EADDRINUSE":
+					console.error(
+						`API Server Critical Error: ${bind} is already in use.`
+					);
+					process.exit(1);
+					break;
+				default:
+					console.error(`API Server Critical Error: ${error.code}`, error);
+					throw error;
+			}
+		});
+		return server;
 	});
-	return server;
 }
@@ -0,0 +1,44 @@
+// src/cash-drawer.js
+
+// Cash drawer kick through the receipt printer's RJ11/RJ12 drawer port: ESC p m t1 t2.
+//   m   0 = connector pin 2 (first drawer), 1 = pin 5 (second drawer)
+//   t1  pulse ON time, t2 OFF time, both in 2 ms units (1-255)
+// 50 ms on / 500 ms off works for nearly every 24 V drawer solenoid.
+export const DRAWER_PINS = [2, 5];
+export const DEFAULT_DRAWER_PULSE = { pin: 2, onMs: 50, offMs: 500 };
+
+function drawerError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const pulseUnits = (ms, label) => {
+	const value = Number(ms);
+	if (!Number.isFinite(value) || value < 2 || value > 510)
+		throw drawerError(`Drawer '${label}' must be between 2 and 510 ms.`);
+	return Math.min(255, Math.max(1, Math.round(value / 2)));
+};
+
+// { pin, onMs, offMs } with defaults filled in; throws a 400 error on bad values
+export function resolveDrawerPulse(options = {}) {
+	const pin = parseInt(options.pin ?? DEFAULT_DRAWER_PULSE.pin, 10);
+	if (!DRAWER_PINS.includes(pin))
+		throw drawerError(`Drawer 'pin' must be ${DRAWER_PINS.join(" or ")}.`);
+	const onMs = options.onMs ?? DEFAULT_DRAWER_PULSE.onMs;
+	const offMs = options.offMs ?? DEFAULT_DRAWER_PULSE.offMs;
+	pulseUnits(onMs, "onMs");
+	pulseUnits(offMs, "offMs");
+	return { pin, onMs: Number(onMs), offMs: Number(offMs) };
+}
+
+export function drawerKickBuffer(options = {}) {
+	const { pin, onMs, offMs } = resolveDrawerPulse(options);
+	return Buffer.from([
+		0x1b,
+		0x70,
+		pin === 5 ? 1 : 0,
+		pulseUnits(onMs, "onMs"),
+		pulseUnits(offMs, "offMs"),
+	]);
+}
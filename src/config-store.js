@@ -0,0 +1,33 @@
+// src/config-store.js
+import { app } from "electron";
+import fs from "fs/promises";
+import path from "path";
+
+// Small JSON files in Electron's userData folder (e.g. %APPDATA%/<app>/ on Windows).
+// They survive app updates, unlike anything written next to the packaged sources.
+
+export function getConfigPath(fileName) {
+	return path.join(app.getPath("userData"), fileName);
+}
+
+export async function readJsonConfig(fileName, fallbackValue) {
+	const filePath = getConfigPath(fileName);
+	try {
+		return JSON.parse(await fs.readFile(filePath, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT")
+			console.error(
+				`CONFIG: Could not read '${filePath}', using defaults: ${error.message}`
+			);
+		return fallbackValue;
+	}
+}
+
+export async function writeJsonConfig(fileName, data) {
+	const filePath = getConfigPath(fileName);
+	const tempPath = `${filePath}.tmp`;
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	// Write-then-rename so a crash mid-write never leaves a truncated config behind
+	await fs.writeFile(tempPath, JSON.stringify(data, null, 2), "utf8");
+	await fs.rename(tempPath, filePath);
+}
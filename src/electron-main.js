@@ -1,5 +1,6 @@
 // src/electron-main.js
-import { app, BrowserWindow, ipcMain } from "electron";
+import { app, BrowserWindow, ipcMain, dialog } from "electron";
+import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -8,15 +9,65 @@ import {
 	discoverLanPrintersViaMDNS,
 	testPrinterConnection,
 	destroyBonjour,
+	watchUsbHotplug,
 } from "./print-discovery.js";
-import { startApiServer } from "./bridge-api.js";
+import { API_PORT, startApiServer } from "./bridge-api.js";
+import { loadPrinterRegistry, listManualPrinters } from "./printer-registry.js";
+import { loadPrinterRoles } from "./printer-roles.js";
+import { loadKotRouting } from "./kot-routing.js";
+import {
+	loadPrinterSettings,
+	getPrinterSettings,
+	setPrinterSettings,
+} from "./printer-settings.js";
+import { PAPER_PROFILES } from "./paper-profiles.js";
+import { PrinterTypes, CharacterSet } from "node-thermal-printer";
+import {
+	queryPrinterHardwareStatus,
+	hardwareStatusChanged,
+	describeHardwareStatus,
+} from "./printer-status.js";
+import { isPrinterBusy, runExclusive } from "./print-jobs.js";
+import { publishEvent } from "./event-bus.js";
+import {
+	loadApiSecurity,
+	listApiKeys,
+	createApiKey,
+	revokeApiKey,
+	getApiAccessSettings,
+	setApiAccessSettings,
+	API_SCOPES,
+} from "./api-auth.js";
+import {
+	loadApiTlsSettings,
+	getApiTlsSettings,
+	setApiTlsSettings,
+	ensureApiTlsCredentials,
+	isHttpEnabled,
+	isHttpsEnabled,
+	getLanAddresses,
+} from "./api-tls.js";
+import {
+	loadPdfArchiveSettings,
+	getPdfArchiveSettings,
+	setPdfArchiveSettings,
+	VIRTUAL_OUTPUT_MODES,
+} from "./pdf-archive.js";
+import { loadJobHistorySettings } from "./job-history.js";
+import { loadIdempotencySettings } from "./idempotency.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let mainWindow;
 let discoveredPrinters = []; // This will hold unique printers with new connectionType
-let apiServerInstance = null;
+let apiServers = null; // HTTP and/or HTTPS listeners from startApiServer
+let apiCertificateInfo = null;
+let hardwareStatusTimer = null;
+let stopUsbHotplug = null;
+let hardwareStatusPollRunning = false;
+
+const HARDWARE_STATUS_POLL_MS = 15000; // Paper out / cover open shows up within this
 
 // --- Logging and Status Update Utilities ---
 function logToMain(message, ...optionalParams) {
@@ -36,6 +87,60 @@ function updateRendererStatus(message) {
 			console.error("Failed to send status update to renderer:", error);
 		}
 	}
+	publishEvent("discovery.progress", { message });
+}
+
+// Pushes the printer list to the renderer and to /api/events subscribers, plus a
+// "printer.status" event for each printer whose status or hardware flags changed.
+const lastPublishedStatus = new Map(); // printerId -> { name, status, hardwareSummary }
+function notifyPrintersUpdated() {
+	const printers = getPrintersForClient();
+	if (mainWindow && !mainWindow.isDestroyed()) {
+		mainWindow.webContents.send("printers-updated", printers);
+	}
+	publishEvent("printers.updated", printers);
+
+	for (const printer of printers) {
+		const previous = lastPublishedStatus.get(printer.id);
+		if (
+			previous?.status === printer.status &&
+			previous?.hardwareSummary === printer.hardwareSummary
+		)
+			continue;
+		lastPublishedStatus.set(printer.id, {
+			name: printer.name,
+			status: printer.status,
+			hardwareSummary: printer.hardwareSummary,
+		});
+		publishEvent(
+			"printer.status",
+			{
+				id: printer.id,
+				name: printer.name,
+				status: printer.status,
+				previousStatus: previous?.status ?? null,
+				hardwareStatus: printer.hardwareStatus,
+				hardwareSummary: printer.hardwareSummary,
+			},
+			{ printerId: printer.id }
+		);
+	}
+	for (const [printerId, previous] of lastPublishedStatus) {
+		if (printers.some((p) => p.id === printerId)) continue;
+		lastPublishedStatus.delete(printerId);
+		publishEvent(
+			"printer.status",
+			{
+				id: printerId,
+				name: previous.name,
+				status: "Removed",
+				previousStatus: previous.status,
+				hardwareStatus: null,
+				hardwareSummary: null,
+			},
+			{ printerId }
+		);
+	}
 }
 
 // --- Electron Window Creation ---
@@ -57,6 +162,18 @@ function createWindow() {
 }
 
 // --- Printer Discovery and Testing Logic ---
+// Keying strategy: Try to be as specific as possible.
+// For OS printers, name is usually unique on the system.
+// For RAW_USB, VID:PID is unique.
+// For MDNS_LAN, IP:Port is unique.
+function getPrinterDedupeKey(p) {
+	if (p.connectionType.startsWith("OS_"))
+		return `os:${p.name.toLowerCase().trim()}`;
+	if (p.connectionType === "RAW_USB") return `raw_usb:${p.vid}-${p.pid}`;
+	if (p.connectionType === "MDNS_LAN") return `mdns:${p.ip}:${p.port}`;
+	return p.id; // Fallback
+}
+
 async function performFullDiscoveryAndTest() {
 	updateRendererStatus("🔄 Starting printer discovery cycle...");
 	if (
@@ -177,24 +294,24 @@ async function performFullDiscoveryAndTest() {
 			updateRendererStatus("mDNS LAN: No printers found.");
 		}
 
+		// --- Step 3b: Add manually configured printers (never dropped by a missed scan) ---
+		const manualPrinters = listManualPrinters();
+		if (manualPrinters.length > 0) {
+			allFoundPrinters.unshift(...manualPrinters); // First, so they win deduplication
+			updateRendererStatus(
+				`Manual: Added ${manualPrinters.length} configured printer(s).`
+			);
+		}
+
 		// --- Step 4: Deduplicate printers ---
 		const uniquePrintersMap = new Map();
 		// Order of preference if multiple methods find "the same" printer:
+		// 0. Manually configured entries (user-chosen name and driver settings)
 		// 1. OS_USB / OS_LAN / OS_LOCAL (from Electron API)
 		// 2. RAW_USB (if identifiable to an OS one, though hard without more info)
 		// 3. MDNS_LAN
 		for (const p of allFoundPrinters) {
-			let key;
-			// Keying strategy: Try to be as specific as possible.
-			// For OS printers, name is usually unique on the system.
-			// For RAW_USB, VID:PID is unique.
-			// For MDNS_LAN, IP:Port is unique.
-			if (p.connectionType.startsWith("OS_"))
-				key = `os:${p.name.toLowerCase().trim()}`;
-			else if (p.connectionType === "RAW_USB")
-				key = `raw_usb:${p.vid}-${p.pid}`;
-			else if (p.connectionType === "MDNS_LAN") key = `mdns:${p.ip}:${p.port}`;
-			else key = p.id; // Fallback
+			const key = getPrinterDedupeKey(p);
 
 			if (!uniquePrintersMap.has(key)) {
 				uniquePrintersMap.set(key, p);
@@ -202,6 +319,7 @@ async function performFullDiscoveryAndTest() {
 				// Prioritization if key collision (e.g., an OS printer which is also raw USB)
 				const existing = uniquePrintersMap.get(key);
 				if (
+					!existing.isManual &&
 					p.connectionType.startsWith("OS_") &&
 					!existing.connectionType.startsWith("OS_")
 				) {
@@ -226,9 +344,7 @@ async function performFullDiscoveryAndTest() {
 					: p.status || "Discovered",
 		}));
 
-		if (mainWindow && !mainWindow.isDestroyed()) {
-			mainWindow.webContents.send("printers-updated", getPrintersForClient());
-		}
+		notifyPrintersUpdated();
 
 		// --- Step 5: Test connections for non-virtual printers ---
 		const physicalPrintersToTest = discoveredPrinters.filter(
@@ -266,15 +382,120 @@ async function performFullDiscoveryAndTest() {
 			error.message,
 			error.stack
 		);
-		discoveredPrinters = [];
+		discoveredPrinters = listManualPrinters();
 	} finally {
-		if (mainWindow && !mainWindow.isDestroyed()) {
-			mainWindow.webContents.send("printers-updated", getPrintersForClient());
-		}
+		notifyPrintersUpdated();
 		updateRendererStatus("👍 Discovery cycle finished.");
 	}
 }
 
+// Called by the API after a manual printer was added/changed/removed: swaps the
+// manual entries in place and tests them, without waiting for a full mDNS scan.
+async function applyManualPrinterChanges() {
+	const manualPrinters = listManualPrinters();
+	const manualKeys = new Set(manualPrinters.map(getPrinterDedupeKey));
+	discoveredPrinters = [
+		...manualPrinters,
+		...discoveredPrinters.filter(
+			(p) => !p.isManual && !manualKeys.has(getPrinterDedupeKey(p))
+		),
+	];
+	notifyPrintersUpdated();
+	const testedManual = await Promise.all(
+		manualPrinters.map((printer) => testPrinterConnection(printer))
+	);
+	discoveredPrinters = discoveredPrinters.map(
+		(p) => testedManual.find((tp) => tp.id === p.id) || p
+	);
+	notifyPrintersUpdated();
+	updateRendererStatus(
+		`🛠️ Manual printers updated (${manualPrinters.length} configured).`
+	);
+}
+
+// USB hot-plug: patch RAW_USB entries in place and re-test only that device.
+// A manually configured printer with the same VID/PID keeps its entry and is just re-tested.
+async function handleUsbPrinterAttached(printer) {
+	const key = getPrinterDedupeKey(printer);
+	const existing = discoveredPrinters.find(
+		(p) => getPrinterDedupeKey(p) === key
+	);
+	const target = existing?.isManual ? existing : printer;
+	if (!existing) discoveredPrinters.push(printer);
+	else if (!existing.isManual)
+		discoveredPrinters = discoveredPrinters.map((p) =>
+			p === existing ? printer : p
+		);
+	notifyPrintersUpdated();
+
+	const tested = await testPrinterConnection(target);
+	discoveredPrinters = discoveredPrinters.map((p) =>
+		p.id === tested.id ? tested : p
+	);
+	notifyPrintersUpdated();
+	updateRendererStatus(
+		`🔌 USB printer connected: ${tested.name} (${tested.status})`
+	);
+}
+
+function handleUsbPrinterDetached({ id, vid, pid }) {
+	const removed = discoveredPrinters.filter((p) => p.id === id);
+	discoveredPrinters = discoveredPrinters
+		.filter((p) => p.id !== id)
+		.map((p) =>
+			p.isManual &&
+			p.connectionType === "RAW_USB" &&
+			p.vid === vid &&
+			p.pid === pid
+				? { ...p, status: "Disconnected (USB)", hardwareStatus: null }
+				: p
+		);
+	notifyPrintersUpdated();
+	updateRendererStatus(
+		`🔌 USB printer disconnected: ${
+			removed[0]?.name || `VID:0x${vid.toString(16)} PID:0x${pid.toString(16)}`
+		}`
+	);
+}
+
+// Re-reads DLE EOT status from raw USB/LAN printers. Printers with jobs queued are skipped
+// (the job result says enough), and each query runs in the printer's job queue so it never
+// shares the socket or USB interface with a print.
+async function pollHardwareStatus() {
+	if (hardwareStatusPollRunning) return;
+	hardwareStatusPollRunning = true;
+	let changed = false;
+	try {
+		const targets = discoveredPrinters.filter(
+			(p) =>
+				(p.connectionType === "RAW_USB" || p.connectionType === "MDNS_LAN") &&
+				!p.status?.toLowerCase().includes("error")
+		);
+		for (const printer of targets) {
+			if (isPrinterBusy(printer.id)) continue;
+			const hardwareStatus = await runExclusive(printer.id, () =>
+				queryPrinterHardwareStatus(printer)
+			);
+			const current = discoveredPrinters.find((p) => p.id === printer.id);
+			if (!current) continue; // Removed while we were asking
+			if (hardwareStatusChanged(current.hardwareStatus, hardwareStatus)) {
+				changed = true;
+				logToMain(
+					`HW_STATUS [${current.name}]: ${
+						hardwareStatus?.error || JSON.stringify(hardwareStatus)
+					}`
+				);
+			}
+			current.hardwareStatus = hardwareStatus;
+		}
+	} catch (pollError) {
+		console.error("Hardware status poll failed:", pollError);
+	} finally {
+		hardwareStatusPollRunning = false;
+	}
+	if (changed) notifyPrintersUpdated();
+}
+
 function getPrintersForApiServer() {
 	return discoveredPrinters.map((p) => ({
 		...p, // Pass all collected info, API can decide what it needs
@@ -296,12 +517,84 @@ function getPrintersForClient() {
 		description: p.description,
 		isDefault: !!p.isDefault,
 		isVirtual: p.connectionType === "VIRTUAL", // Derived
+		isManual: !!p.isManual,
+		hardwareStatus: p.hardwareStatus || null,
+		hardwareSummary: describeHardwareStatus(p.hardwareStatus),
 	}));
 }
 
+async function launchApiServer() {
+	let tlsCredentials = null;
+	if (isHttpsEnabled()) {
+		try {
+			tlsCredentials = await ensureApiTlsCredentials();
+			apiCertificateInfo = tlsCredentials.info;
+		} catch (e) {
+			updateRendererStatus(`⚠️ HTTPS certificate unavailable: ${e.message}`);
+			console.error("API TLS certificate exception:", e);
+		}
+	}
+	try {
+		apiServers = startApiServer(getPrintersForApiServer, {
+			onPrinterRegistryChanged: () =>
+				applyManualPrinterChanges().catch((e) =>
+					console.error("Applying manual printer changes failed:", e)
+				),
+			tlsCredentials,
+		}); // Pass getter function
+		const listening = [
+			isHttpEnabled() && `HTTP port ${API_PORT}`,
+			tlsCredentials && `HTTPS port ${getApiTlsSettings().httpsPort}`,
+		]
+			.filter(Boolean)
+			.join(", ");
+		updateRendererStatus(
+			`✔️ API server started on ${listening} (${
+				getApiAccessSettings().bindAddress === "0.0.0.0"
+					? "all interfaces"
+					: "localhost only"
+			}).`
+		);
+	} catch (e) {
+		updateRendererStatus(`☠️ API server start FAILED: ${e.message}`);
+		console.error("API Server start exception:", e);
+	}
+}
+
+async function closeApiServers() {
+	const servers = apiServers || [];
+	apiServers = null;
+	await Promise.all(
+		servers.map(
+			(server) =>
+				new Promise((resolve) => {
+					server.close((err) => {
+						if (err) logToMain(`API close err: ${err.message}`);
+						resolve();
+					});
+					server.closeAllConnections(); // Keep-alive and /api/events sockets would hold close() open
+				})
+		)
+	);
+}
+
+async function restartApiServer() {
+	await closeApiServers();
+	await launchApiServer();
+}
+
 // --- Electron App Lifecycle ---
 app.whenReady().then(async () => {
 	logToMain("Electron App Ready.");
+	await loadPrinterRegistry();
+	await loadPrinterRoles();
+	await loadKotRouting();
+	await loadPrinterSettings();
+	await loadApiSecurity();
+	await loadApiTlsSettings();
+	await loadPdfArchiveSettings();
+	await loadJobHistorySettings();
+	await loadIdempotencySettings();
 	createWindow();
 	app.on("activate", () => {
 		if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -312,12 +605,10 @@ app.on("window-all-closed", () => {
 });
 app.on("will-quit", () => {
 	logToMain("Quitting. Cleaning up...");
+	clearInterval(hardwareStatusTimer);
+	if (stopUsbHotplug) stopUsbHotplug();
 	if (typeof destroyBonjour === "function") destroyBonjour();
-	if (apiServerInstance && typeof apiServerInstance.close === "function") {
-		apiServerInstance.close((err) =>
-			logToMain(err ? `API close err: ${err.message}` : "API server closed.")
-		);
-	}
+	if (apiServers) closeApiServers().then(() => logToMain("API server closed."));
 });
 
 // --- IPC Handlers ---
@@ -349,16 +640,118 @@ ipcMain.on("renderer-ready", async () => {
 	}
 	updateRendererStatus("🛠️ UI Ready. Initializing printer discovery...");
 	await performFullDiscoveryAndTest();
-	if (!apiServerInstance) {
-		try {
-			apiServerInstance = startApiServer(getPrintersForApiServer); // Pass getter function
-			const port = process.env.API_PORT || 3030;
-			updateRendererStatus(`✔️ API server started on port ${port}.`);
-		} catch (e) {
-			updateRendererStatus(`☠️ API server start FAILED: ${e.message}`);
-			console.error("API Server start exception:", e);
-		}
+	if (!hardwareStatusTimer)
+		hardwareStatusTimer = setInterval(
+			pollHardwareStatus,
+			HARDWARE_STATUS_POLL_MS
+		);
+	if (!stopUsbHotplug)
+		stopUsbHotplug = watchUsbHotplug({
+			onAttach: handleUsbPrinterAttached,
+			onDetach: handleUsbPrinterDetached,
+		});
+	if (!apiServers) {
+		await launchApiServer();
 	} else {
 		updateRendererStatus("ℹ️ API server already running.");
 	}
 });
+
+// --- API access (keys, origin allow-list, bind address; see api-auth.js) ---
+function getApiAccessForClient() {
+	return {
+		...getApiAccessSettings(),
+		keys: listApiKeys(),
+		scopes: API_SCOPES,
+	};
+}
+ipcMain.handle("get-api-access", () => getApiAccessForClient());
+// The first key opens the API to the network and revoking the last one closes it again
+// (see getApiBindAddress), and the listening socket is bound to one address
+async function restartApiServerIfRebound(previousBindAddress) {
+	if (apiServers && getApiAccessSettings().bindAddress !== previousBindAddress)
+		await restartApiServer();
+}
+ipcMain.handle("create-api-key", async (event, input) => {
+	const previousBindAddress = getApiAccessSettings().bindAddress;
+	const created = await createApiKey(input);
+	await restartApiServerIfRebound(previousBindAddress);
+	return { created, access: getApiAccessForClient() };
+});
+ipcMain.handle("revoke-api-key", async (event, keyId) => {
+	const previousBindAddress = getApiAccessSettings().bindAddress;
+	await revokeApiKey(keyId);
+	await restartApiServerIfRebound(previousBindAddress);
+	return getApiAccessForClient();
+});
+ipcMain.handle("set-api-access", async (event, input) => {
+	const previousBindAddress = getApiAccessSettings().bindAddress;
+	await setApiAccessSettings(input);
+	await restartApiServerIfRebound(previousBindAddress);
+	return getApiAccessForClient();
+});
+
+// --- HTTPS listener and certificate (see api-tls.js) ---
+function getApiTlsForClient() {
+	return {
+		...getApiTlsSettings(),
+		httpPort: API_PORT, // The renderer shows the API URLs from these settings
+		lanAddresses: getLanAddresses(),
+		certificate: apiCertificateInfo,
+	};
+}
+ipcMain.handle("get-api-tls", () => getApiTlsForClient());
+ipcMain.handle("set-api-tls", async (event, input) => {
+	await setApiTlsSettings(input);
+	if (!isHttpsEnabled()) apiCertificateInfo = null;
+	if (apiServers) await restartApiServer();
+	return getApiTlsForClient();
+});
+ipcMain.handle("export-api-certificate", async () => {
+	const { cert, info } = await ensureApiTlsCredentials();
+	apiCertificateInfo = info;
+	const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+		title: "Export Bridge Certificate",
+		defaultPath: "pos-print-bridge.crt",
+		filters: [{ name: "Certificate", extensions: ["crt", "pem"] }],
+	});
+	if (canceled || !filePath) return null;
+	await fs.writeFile(filePath, cert, "utf8");
+	logToMain(`Exported API certificate to ${filePath}.`);
+	return filePath;
+});
+
+// --- Per-printer settings: paper and driver defaults (see printer-settings.js) ---
+ipcMain.handle("get-printer-settings", (event, printerId) => ({
+	printerId,
+	settings: getPrinterSettings(printerId),
+	choices: {
+		paperProfiles: Object.keys(PAPER_PROFILES),
+		driverTypes: Object.keys(PrinterTypes),
+		characterSets: Object.keys(CharacterSet),
+		outputModes: VIRTUAL_OUTPUT_MODES,
+	},
+}));
+ipcMain.handle("set-printer-settings", async (event, printerId, input) => {
+	if (!discoveredPrinters.some((p) => p.id === printerId))
+		throw new Error(`Printer '${printerId}' not found.`);
+	const settings = await setPrinterSettings(printerId, input);
+	logToMain(`Printer settings updated for '${printerId}'.`);
+	return { printerId, settings };
+});
+
+// --- PDF archive folder for VIRTUAL printers (see pdf-archive.js) ---
+ipcMain.handle("get-pdf-archive", () => getPdfArchiveSettings());
+ipcMain.handle("set-pdf-archive", async (event, input) => {
+	const settings = await setPdfArchiveSettings(input);
+	logToMain(`PDF archive folder set to '${settings.effectiveDir}'.`);
+	return settings;
+});
+ipcMain.handle("choose-pdf-archive-dir", async () => {
+	const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+		title: "Choose PDF Archive Folder",
+		defaultPath: getPdfArchiveSettings().effectiveDir,
+		properties: ["openDirectory", "createDirectory"],
+	});
+	return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
@@ -0,0 +1,64 @@
+// src/event-bus.js
+import { EventEmitter } from "events";
+
+// In-process pub/sub for everything a POS client may want to watch live (GET /api/events).
+// Event: { id, type, at, printerId?, jobId?, data }
+// Types: "printers.updated"   data: the public printer list
+//        "printer.status"     data: { id, name, status, previousStatus, hardwareStatus, hardwareSummary }
+//        "discovery.progress" data: { message }
+//        "job.updated"        data: the public job (same shape as GET /api/jobs/:id)
+// The last few events are kept so a reconnecting client can resume from Last-Event-ID.
+const RECENT_EVENTS_LIMIT = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+const recentEvents = [];
+let lastEventId = 0;
+
+export function publishEvent(type, data, { printerId, jobId } = {}) {
+	const event = {
+		id: ++lastEventId,
+		type,
+		at: new Date().toISOString(),
+		...(printerId ? { printerId } : {}),
+		...(jobId ? { jobId } : {}),
+		data,
+	};
+	recentEvents.push(event);
+	if (recentEvents.length > RECENT_EVENTS_LIMIT) recentEvents.shift();
+	emitter.emit("event", event);
+	return event;
+}
+
+// Returns a function that unsubscribes
+export function subscribeEvents(listener) {
+	emitter.on("event", listener);
+	return () => emitter.off("event", listener);
+}
+
+export function getEventsSince(eventId) {
+	const since = parseInt(eventId, 10);
+	return Number.isInteger(since)
+		? recentEvents.filter((event) => event.id > since)
+		: [];
+}
+
+// filter: { types, printerIds, jobIds } (arrays; empty or missing means "any").
+// With a printer or job filter only events tagged with a matching id get through, except
+// types the client asked for by name (e.g. types=printers.updated,discovery.progress).
+export function eventMatchesFilter(event, { types, printerIds, jobIds } = {}) {
+	const typeRequested =
+		types?.length > 0 &&
+		types.some(
+			(type) =>
+				type === event.type ||
+				(type.endsWith(".*") && event.type.startsWith(type.slice(0, -1)))
+		);
+	if (types?.length > 0 && !typeRequested) return false;
+	const hasIdFilter = printerIds?.length > 0 || jobIds?.length > 0;
+	if (!hasIdFilter) return true;
+	if (printerIds?.length > 0 && printerIds.includes(event.printerId))
+		return true;
+	if (jobIds?.length > 0 && jobIds.includes(event.jobId)) return true;
+	return !event.printerId && !event.jobId && typeRequested;
+}
@@ -0,0 +1,162 @@
+// src/html-raster.js
+import { BrowserWindow, nativeImage } from "electron"; // Offscreen window for HTML print jobs
+import { loadSandboxedHtml, sandboxedWebPreferences } from "./html-sandbox.js";
+
+// Prints arbitrary HTML on ESC/POS printers. The page is laid out in an offscreen window
+// exactly as wide as the printable area (1 CSS px = 1 dot), captured in slices so long
+// pages stay under Chromium's capture size limit, dithered to 1 bit (Floyd-Steinberg) and
+// cut into bands that generatePrintBufferNTP sends as GS v 0 raster images.
+// Bands stop at MAX_BAND_DOTS rows; where possible they end on a blank row, so a printer
+// that pauses between bands does not leave a seam through a line of text.
+const CAPTURE_SLICE_PX = 2048;
+const MAX_BAND_DOTS = 255; // Small enough for the receive buffer of cheap printers
+const BLANK_ROW_SEARCH_DOTS = 96; // How far back from the limit to look for a blank row
+const REPAINT_DELAY_MS = 100;
+const LOAD_TIMEOUT_MS = 15000;
+
+const PAGE_CSS =
+	"html{background:#fff}::-webkit-scrollbar{display:none}body{overflow-x:hidden}";
+
+// { width, height, data } with data in BGRA order (nativeImage.toBitmap), one pixel per dot.
+// Pages taller than maxHeight (the paper profile's maxPageDots) are refused before the
+// bitmap is allocated.
+async function captureHtml(htmlContent, width, maxHeight) {
+	let win = null;
+	try {
+		win = new BrowserWindow({
+			show: false,
+			width,
+			height: CAPTURE_SLICE_PX,
+			useContentSize: true,
+			webPreferences: sandboxedWebPreferences({ offscreen: true }),
+		});
+		await loadSandboxedHtml(win, htmlContent, LOAD_TIMEOUT_MS);
+		await win.webContents.insertCSS(PAGE_CSS);
+		const pageHeight = await win.webContents.executeJavaScript(
+			"Math.ceil(document.documentElement.scrollHeight)"
+		);
+		if (!pageHeight) throw new Error("HTML page is empty.");
+		if (pageHeight > maxHeight) {
+			const error = new Error(
+				`HTML page is ${pageHeight} dots tall; the paper profile allows ${maxHeight} (maxPageDots).`
+			);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const data = Buffer.alloc(width * pageHeight * 4, 0xff);
+		for (let top = 0; top < pageHeight; top += CAPTURE_SLICE_PX) {
+			// The last slice cannot scroll past the end; capture lower in the viewport instead
+			const scrollY = await win.webContents.executeJavaScript(
+				`window.scrollTo(0, ${top}); window.scrollY`
+			);
+			await new Promise((resolve) => setTimeout(resolve, REPAINT_DELAY_MS));
+			const sliceHeight = Math.min(CAPTURE_SLICE_PX, pageHeight - top);
+			let image = await win.webContents.capturePage({
+				x: 0,
+				y: top - scrollY,
+				width,
+				height: sliceHeight,
+			});
+			if (image.getSize().width !== width)
+				image = image.resize({ width, height: sliceHeight, quality: "best" });
+			const { height: capturedHeight } = image.getSize();
+			image
+				.toBitmap()
+				.copy(
+					data,
+					top * width * 4,
+					0,
+					Math.min(capturedHeight, sliceHeight) * width * 4
+				);
+		}
+		return { width, height: pageHeight, data };
+	} finally {
+		if (win && !win.isDestroyed()) win.close();
+	}
+}
+
+// Floyd-Steinberg to packed rows of ceil(width / 8) bytes, MSB first, 1 = black dot.
+// Transparent pixels count as white paper.
+function ditherToBits({ width, height, data }) {
+	const rowBytes = Math.ceil(width / 8);
+	const bits = Buffer.alloc(rowBytes * height);
+	let current = new Float32Array(width + 2);
+	let next = new Float32Array(width + 2);
+	const luminance = (x, y) => {
+		const i = (y * width + x) * 4;
+		const alpha = data[i + 3] / 255;
+		const gray = 0.114 * data[i] + 0.587 * data[i + 1] + 0.299 * data[i + 2];
+		return gray * alpha + 255 * (1 - alpha);
+	};
+	for (let x = 0; x < width; x++) current[x + 1] = luminance(x, 0);
+	for (let y = 0; y < height; y++) {
+		next.fill(0);
+		if (y + 1 < height)
+			for (let x = 0; x < width; x++) next[x + 1] = luminance(x, y + 1);
+		for (let x = 0; x < width; x++) {
+			const value = current[x + 1];
+			const black = value < 128;
+			if (black) bits[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+			const error = value - (black ? 0 : 255);
+			current[x + 2] += (error * 7) / 16;
+			next[x] += (error * 3) / 16;
+			next[x + 1] += (error * 5) / 16;
+			next[x + 2] += error / 16;
+		}
+		[current, next] = [next, current];
+	}
+	return { width, height, rowBytes, bits };
+}
+
+function splitIntoBands({ width, height, rowBytes, bits }) {
+	const isBlankRow = (y) => {
+		for (let i = y * rowBytes; i < (y + 1) * rowBytes; i++)
+			if (bits[i] !== 0) return false;
+		return true;
+	};
+	const bands = [];
+	let top = 0;
+	while (top < height) {
+		let bottom = Math.min(height, top + MAX_BAND_DOTS); // Exclusive
+		if (bottom < height) {
+			const searchFrom = Math.max(top + 1, bottom - BLANK_ROW_SEARCH_DOTS);
+			for (let y = bottom - 1; y >= searchFrom; y--) {
+				if (isBlankRow(y)) {
+					bottom = y + 1;
+					break;
+				}
+			}
+		}
+		bands.push({
+			type: "raster",
+			width,
+			height: bottom - top,
+			bits: bits.subarray(top * rowBytes, bottom * rowBytes),
+		});
+		top = bottom;
+	}
+	return bands;
+}
+
+// HTML -> [{ type: "raster", width, height, bits }] commands for generatePrintBufferNTP
+export async function renderHtmlToRasterCommands(
+	htmlContent,
+	{ width, maxHeight }
+) {
+	const bitmap = await captureHtml(htmlContent, width, maxHeight);
+	return splitIntoBands(ditherToBits(bitmap));
+}
+
+// The dithered page as a PNG, for /api/preview: exactly the dots the printer gets
+export async function renderHtmlToRasterPng(htmlContent, { width, maxHeight }) {
+	const { height, rowBytes, bits } = ditherToBits(
+		await captureHtml(htmlContent, width, maxHeight)
+	);
+	const bgra = Buffer.alloc(width * height * 4, 0xff);
+	for (let y = 0; y < height; y++)
+		for (let x = 0; x < width; x++)
+			if (bits[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)))
+				bgra.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+	return nativeImage.createFromBitmap(bgra, { width, height }).toPNG();
+}
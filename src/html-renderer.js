@@ -0,0 +1,327 @@
+// src/html-renderer.js
+import { BrowserWindow } from "electron"; // Offscreen window for PNG previews
+import { barcodeToSvg, qrToSvg } from "./barcode-svg.js";
+import { resolveLineAlign, toVisualLine, toVisualText } from "./bidi-text.js";
+import { loadSandboxedHtml, sandboxedWebPreferences } from "./html-sandbox.js";
+import { escapeHtml, segmentHtml, toCssAlign, toSize } from "./html-text.js";
+import { readImageAsset } from "./image-assets.js";
+import { resolvePaperProfile } from "./paper-profiles.js";
+
+// Renders template command objects to HTML that looks like the printed ticket: one
+// monospace "paper" column of charsPerLine cells, laid out the way generatePrintBufferNTP
+// lays out the ESC/POS output (same sticky styles, table wrapping and drawLine width).
+// Used for VIRTUAL printers and for /api/preview. RTL text is shaped and reordered by
+// bidi-text.js exactly as for the printer, and shown with the browser's own bidi turned off.
+// Without a layout it uses the default paper profile (see paper-profiles.js).
+const defaultPaper = resolvePaperProfile();
+const PREVIEW_LOAD_TIMEOUT_MS = 15000;
+export const DEFAULT_HTML_LAYOUT = {
+	charsPerLine: defaultPaper.columns,
+	dotWidth: defaultPaper.dotsPerLine,
+};
+
+// A line of [w, h] sized text holds charsPerLine / w cells. It is laid out at h times the
+// font size in a box of (charsPerLine / w) ch, then stretched horizontally by w / h, so
+// wrapping happens at the same cell the printer wraps at.
+function lineHtml(content, { align, size }, charsPerLine) {
+	const [w, h] = size;
+	const sizeStyle =
+		w === 1 && h === 1
+			? ""
+			: `font-size:${h}em;width:${(charsPerLine / w).toFixed(
+					3
+			  )}ch;transform:scaleX(${w / h});`;
+	return `<div class="line" style="text-align:${align};${sizeStyle}">${
+		content || "&nbsp;"
+	}</div>\n`;
+}
+
+// Same column maths as node-thermal-printer's tableCustom(), including its second-line
+// wrapping of cells that are too long and its fallback to the previous cell's width.
+function tableRowsToLines(rows, columns, charsPerLine) {
+	const lines = [];
+	const renderRow = (cells) => {
+		let cellWidth = charsPerLine / cells.length;
+		let line = "";
+		let wrapped = false;
+		const nextCells = cells.map((cell) => {
+			if (cell.width) cellWidth = charsPerLine * cell.width;
+			else if (cell.cols) cellWidth = cell.cols;
+			let text = cell.text;
+			let rest = "";
+			if (cellWidth < text.length) {
+				wrapped = true;
+				rest = text.substring(cellWidth - 1);
+				text = text.substring(0, cellWidth - 1);
+			}
+			const spaces = Math.max(0, Math.ceil(cellWidth - text.length));
+			let padded;
+			if (cell.align === "CENTER") {
+				const half = (cellWidth - text.length) / 2;
+				padded =
+					" ".repeat(Math.max(0, Math.ceil(half))) +
+					text +
+					" ".repeat(Math.max(0, Math.ceil(half - 1)));
+			} else if (cell.align === "RIGHT") padded = " ".repeat(spaces) + text;
+			else padded = text + " ".repeat(spaces);
+			line += segmentHtml(padded, cell.bold ? "B" : "");
+			return { ...cell, text: rest };
+		});
+		lines.push(line);
+		if (wrapped) renderRow(nextCells);
+	};
+	for (const row of rows) {
+		if (!Array.isArray(row)) continue;
+		renderRow(
+			row.map((cell, cellIndex) => {
+				const col = columns[cellIndex] || {};
+				return {
+					text: toVisualText(cell),
+					align: col.align || "LEFT",
+					width: col.width,
+					cols: col.cols,
+					bold:
+						col.bold ||
+						(typeof col.style === "string" && col.style.includes("B")),
+				};
+			})
+		);
+	}
+	return lines;
+}
+
+// HRI (human readable) text position as in GS H: 1 above, 2 below, 3 both (or 49-51)
+function barcodeHtml(cmd) {
+	const content = String(cmd.content || cmd.value || "");
+	const settings = { ...cmd, ...(cmd.options || {}) };
+	let svg;
+	try {
+		svg = barcodeToSvg(content, {
+			barcodeType: cmd.barcodeType ?? 73,
+			width: settings.width,
+			height: settings.height,
+		});
+	} catch (barcodeError) {
+		return `<span class="code">[BARCODE ERROR: ${escapeHtml(
+			barcodeError.message
+		)}]</span>`;
+	}
+	const hriPos = (parseInt(settings.hriPos, 10) || 0) % 48;
+	const hri = `<div class="hri">${escapeHtml(content)}</div>`;
+	return `<span class="symbol">${
+		hriPos === 1 || hriPos === 3 ? hri : ""
+	}${svg}${hriPos === 2 || hriPos === 3 ? hri : ""}</span>`;
+}
+
+function qrHtml(cmd) {
+	try {
+		return `<span class="symbol">${qrToSvg(
+			String(cmd.content || cmd.value || ""),
+			{ cellSize: cmd.cellSize, correction: cmd.correction }
+		)}</span>`;
+	} catch (qrError) {
+		return `<span class="code">[QR ERROR: ${escapeHtml(
+			qrError.message
+		)}]</span>`;
+	}
+}
+
+// Only images from the assets folder (see image-assets.js); null for anything else
+function readImageAsDataUrl(imagePath) {
+	try {
+		const { buffer, mime } = readImageAsset(imagePath);
+		return `data:${mime};base64,${buffer.toString("base64")}`;
+	} catch (imageError) {
+		console.warn(`HTML_RENDERER: ${imageError.message}`);
+		return null;
+	}
+}
+
+export function commandsToSimpleHtml(
+	printDataArray,
+	documentTitle = "Print Document",
+	layout = {}
+) {
+	const charsPerLine =
+		parseInt(layout.charsPerLine, 10) || DEFAULT_HTML_LAYOUT.charsPerLine;
+	const dotWidth =
+		parseInt(layout.dotWidth, 10) || DEFAULT_HTML_LAYOUT.dotWidth;
+	const marginLeft = parseInt(layout.margins?.left, 10) || 0;
+	const marginRight = parseInt(layout.margins?.right, 10) || 0;
+	let htmlBody = "";
+	// Styles from 'setStyles'/'align' stay active until 'resetStyles' (same as generatePrintBufferNTP)
+	let stickyStyles = {};
+	if (layout.initialAlign) stickyStyles.align = layout.initialAlign;
+	// 'print' keeps the line open until the next 'println'/'text' ends it
+	let openLine = null;
+
+	const closeLine = () => {
+		if (openLine) {
+			const { segments, rtl } = toVisualLine(openLine.segments);
+			htmlBody += lineHtml(
+				segments
+					.map((segment) => segmentHtml(segment.text, segment.style))
+					.join(""),
+				{
+					align: toCssAlign(resolveLineAlign(openLine.align, rtl)),
+					size: openLine.size,
+				},
+				charsPerLine
+			);
+		}
+		openLine = null;
+	};
+	const block = (html, align) => {
+		closeLine();
+		htmlBody += `<div class="block" style="text-align:${toCssAlign(
+			align
+		)}">${html}</div>\n`;
+	};
+
+	for (const cmd of printDataArray || []) {
+		const type = cmd.type?.toLowerCase();
+		const align = cmd.align || stickyStyles.align || "LT";
+		const style = cmd.style ?? stickyStyles.style;
+		switch (type) {
+			case "text":
+			case "println":
+			case "print": {
+				const text = String(cmd.content || cmd.text || "");
+				if (!openLine)
+					openLine = {
+						segments: [],
+						align,
+						size: toSize(cmd.size ?? stickyStyles.size),
+					};
+				openLine.segments.push({ text, style });
+				if (type !== "print") closeLine();
+				break;
+			}
+			case "feed":
+				closeLine();
+				for (let i = 0; i < (parseInt(cmd.lines, 10) || 1); i++)
+					htmlBody += lineHtml(
+						"",
+						{ align: "left", size: [1, 1] },
+						charsPerLine
+					);
+				break;
+			case "cut":
+				closeLine();
+				htmlBody += `<div class="cut${
+					cmd.mode === "FULL" ? " full" : ""
+				}"></div>\n`;
+				break;
+			case "align":
+				if (cmd.align) stickyStyles.align = cmd.align.toUpperCase();
+				break;
+			case "setstyles":
+				stickyStyles = {
+					...stickyStyles,
+					...(cmd.align ? { align: cmd.align.toUpperCase() } : {}),
+					...(cmd.style !== undefined ? { style: cmd.style } : {}),
+					...(cmd.size !== undefined ? { size: cmd.size } : {}),
+				};
+				break;
+			case "resetstyles":
+				stickyStyles = {};
+				break;
+			case "drawline":
+				closeLine();
+				htmlBody += lineHtml(
+					escapeHtml("-".repeat(charsPerLine)),
+					{ align: "left", size: [1, 1] },
+					charsPerLine
+				);
+				break;
+			case "barcode":
+				block(barcodeHtml(cmd), align);
+				break;
+			case "qr":
+				block(qrHtml(cmd), align);
+				break;
+			case "image":
+			case "imagebuffer": {
+				const src =
+					type === "image"
+						? cmd.path && readImageAsDataUrl(cmd.path)
+						: cmd.buffer && `data:image/png;base64,${cmd.buffer}`;
+				block(
+					src
+						? `<img src="${escapeHtml(src)}" alt="">`
+						: escapeHtml(
+								type === "image"
+									? cmd.path
+										? "[ImgPathErr]"
+										: "[NoImgPath]"
+									: "[NoImgBuff]"
+						  ),
+					align
+				);
+				break;
+			}
+			case "tablecustom":
+				closeLine();
+				if (cmd.data && Array.isArray(cmd.data))
+					tableRowsToLines(
+						cmd.data,
+						cmd.options?.columns || [],
+						charsPerLine
+					).forEach(
+						(line) =>
+							(htmlBody += lineHtml(
+								line,
+								{ align: "left", size: [1, 1] },
+								charsPerLine
+							))
+					);
+				break;
+			// beep, raw, cashdraw and anything else have no visible output
+		}
+	}
+	closeLine();
+
+	// 1 CSS px = 1 printer dot, and the font is sized so charsPerLine cells fill the head
+	const fontPx = (
+		(dotWidth - marginLeft - marginRight) /
+		charsPerLine /
+		0.6
+	).toFixed(3); // Monospace advance is 0.6em
+	return `<!DOCTYPE html><html><head><title>${escapeHtml(
+		documentTitle
+	)}</title><meta charset="UTF-8"><style>html,body{margin:0;padding:0;background:#fff}.paper{width:${charsPerLine}ch;padding:0 ${marginRight}px 0 ${marginLeft}px;font-family:'Courier New',Courier,monospace;font-size:${fontPx}px;line-height:1.25;color:#000;background:#fff;overflow:hidden}.line{white-space:pre-wrap;word-break:break-all;transform-origin:left top;min-height:1.25em;direction:ltr;unicode-bidi:bidi-override}.block{padding:2px 0}.block img{max-width:100%;image-rendering:pixelated}.b{font-weight:bold}.u{text-decoration:underline}.u2{text-decoration:underline;text-decoration-thickness:2px}.inv{background:#000;color:#fff}.code{display:inline-block;border:1px solid #000;padding:4px 8px}.symbol{display:inline-block;text-align:center}.symbol svg{display:block}.hri{line-height:1.25}.cut{border-top:1px dashed #888;margin:6px 0}.cut.full{border-top-style:solid}</style></head><body><div class="paper">\n${htmlBody}</div></body></html>`;
+}
+
+// Loads the HTML in a hidden offscreen window sized to the paper and captures it as PNG
+export async function renderHtmlToPng(htmlContent, { width } = {}) {
+	const pageWidth = parseInt(width, 10) || DEFAULT_HTML_LAYOUT.dotWidth;
+	let previewWin = null;
+	try {
+		previewWin = new BrowserWindow({
+			show: false,
+			width: pageWidth,
+			height: 800,
+			useContentSize: true,
+			webPreferences: sandboxedWebPreferences({ offscreen: true }),
+		});
+		await loadSandboxedHtml(previewWin, htmlContent, PREVIEW_LOAD_TIMEOUT_MS);
+		const { paperWidth, paperHeight } =
+			await previewWin.webContents.executeJavaScript(
+				`(() => { const r = document.querySelector(".paper").getBoundingClientRect(); return { paperWidth: Math.ceil(r.width), paperHeight: Math.ceil(r.height) }; })()`
+			);
+		const captureWidth = Math.max(1, paperWidth || pageWidth);
+		const captureHeight = Math.max(1, paperHeight);
+		previewWin.setContentSize(captureWidth, captureHeight);
+		// Let the resized page repaint before capturing
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		const image = await previewWin.webContents.capturePage({
+			x: 0,
+			y: 0,
+			width: captureWidth,
+			height: captureHeight,
+		});
+		return image.toPNG();
+	} finally {
+		if (previewWin && !previewWin.isDestroyed()) previewWin.close();
+	}
+}
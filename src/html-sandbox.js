@@ -0,0 +1,76 @@
+// src/html-sandbox.js
+import { session } from "electron";
+
+// Offscreen windows that load HTML from API clients: HTML print jobs, previews, PDFs and
+// virtual printers. The document is loaded from a data: URL, so it gets an opaque origin
+// instead of file://, in an in-memory session that cancels every request that is not
+// inline (data:, blob:): no local files and no network. Navigation and popups are refused.
+// Images must therefore be embedded (data: URLs, inline SVG).
+const SANDBOX_PARTITION = "bridge-html-sandbox"; // No "persist:" prefix, nothing on disk
+const ALLOWED_URL_PATTERN = /^(data|blob|about):/i;
+const MAX_DATA_URL_CHARS = 2 * 1024 * 1024; // Chromium refuses longer URLs
+
+let sandboxSession = null;
+
+function sandboxError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+function getSandboxSession() {
+	if (sandboxSession) return sandboxSession;
+	sandboxSession = session.fromPartition(SANDBOX_PARTITION);
+	sandboxSession.webRequest.onBeforeRequest((details, callback) => {
+		const allowed = ALLOWED_URL_PATTERN.test(details.url);
+		if (!allowed)
+			console.warn(
+				`HTML_SANDBOX: Blocked request to '${details.url.slice(0, 200)}'.`
+			);
+		callback({ cancel: !allowed });
+	});
+	sandboxSession.setPermissionRequestHandler((webContents, permission, done) =>
+		done(false)
+	);
+	return sandboxSession;
+}
+
+// webPreferences for a BrowserWindow that shows HTML from an API client
+export function sandboxedWebPreferences(webPreferences = {}) {
+	return {
+		...webPreferences,
+		session: getSandboxSession(),
+		sandbox: true,
+		nodeIntegration: false,
+		contextIsolation: true,
+	};
+}
+
+// Loads htmlContent into `win` (created with sandboxedWebPreferences). Rejects when the
+// document is too large for a data: URL, fails to load or takes longer than timeoutMs.
+export async function loadSandboxedHtml(win, htmlContent, timeoutMs) {
+	const url = `data:text/html;charset=utf-8;base64,${Buffer.from(
+		htmlContent,
+		"utf8"
+	).toString("base64")}`;
+	if (url.length > MAX_DATA_URL_CHARS)
+		throw sandboxError(
+			`HTML document is too large (${Math.round(
+				Buffer.byteLength(htmlContent) / 1024
+			)} KB); the limit is about ${Math.floor(
+				(MAX_DATA_URL_CHARS * 3) / 4 / 1024
+			)} KB.`
+		);
+	win.webContents.on("will-navigate", (event) => event.preventDefault());
+	win.webContents.setWindowOpenHandler(() => ({ action: "deny" }));
+	let loadTimer;
+	await Promise.race([
+		win.loadURL(url),
+		new Promise((_, reject) => {
+			loadTimer = setTimeout(
+				() => reject(new Error("HTML page took too long to load.")),
+				timeoutMs
+			);
+		}),
+	]).finally(() => clearTimeout(loadTimer));
+}
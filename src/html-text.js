@@ -0,0 +1,42 @@
+// src/html-text.js
+
+// HTML helpers shared by everything that draws print commands as HTML (previews, VIRTUAL
+// printers, the text raster fallback) or splices text into HTML print jobs.
+
+export const escapeHtml = (value) =>
+	String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+// ESC/POS alignment ("LT", "CT", "RT" or the spelled out names) -> CSS text-align
+export const toCssAlign = (align) => {
+	const value = String(align || "LT").toUpperCase();
+	if (value === "CT" || value === "CENTER") return "center";
+	if (value === "RT" || value === "RIGHT") return "right";
+	return "left";
+};
+
+// A command's [width, height] character magnification, 1-8 each as in GS !
+export const toSize = (size) =>
+	Array.isArray(size) && size.length === 2
+		? [
+				Math.min(8, Math.max(1, parseInt(size[0], 10) || 1)),
+				Math.min(8, Math.max(1, parseInt(size[1], 10) || 1)),
+		  ]
+		: [1, 1];
+
+// Text in a node-thermal-printer style ("B", "U", "U2", "I" and combinations); the
+// classes are defined by each page's own stylesheet
+export function segmentHtml(text, style) {
+	if (!text) return "";
+	const classes = [];
+	if (style?.includes("B")) classes.push("b");
+	if (style?.includes("U2")) classes.push("u2");
+	else if (style?.includes("U")) classes.push("u");
+	if (style?.includes("I")) classes.push("inv");
+	return classes.length > 0
+		? `<span class="${classes.join(" ")}">${escapeHtml(text)}</span>`
+		: escapeHtml(text);
+}
@@ -0,0 +1,143 @@
+// src/idempotency.js
+import crypto from "crypto";
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+
+// Idempotency keys for the print endpoints. A POS that timed out waiting for /api/print
+// retries with the same key and gets the first response back instead of a second ticket.
+// Keys live in memory for windowSeconds (settings in userData/idempotency.json); the first
+// request's body is fingerprinted, and the same key with a different body is refused.
+// Only responses that queued something are kept: a request that failed validation or
+// whose jobs failed can be retried under the same key.
+const SETTINGS_FILE = "idempotency.json";
+const DEFAULT_WINDOW_SECONDS = 3600;
+const MIN_WINDOW_SECONDS = 10;
+const MAX_WINDOW_SECONDS = 7 * 24 * 3600;
+const MAX_KEY_LENGTH = 255;
+const MAX_ENTRIES = 1000; // Oldest keys are forgotten first beyond this
+
+let idempotencySettings = { windowSeconds: DEFAULT_WINDOW_SECONDS };
+const entries = new Map(); // scoped key -> { fingerprint, expiresAt, result, settle }
+
+function idempotencyError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+export async function loadIdempotencySettings() {
+	const stored = await readJsonConfig(SETTINGS_FILE, {});
+	const windowSeconds = parseInt(stored?.windowSeconds, 10);
+	idempotencySettings = {
+		windowSeconds:
+			windowSeconds >= MIN_WINDOW_SECONDS && windowSeconds <= MAX_WINDOW_SECONDS
+				? windowSeconds
+				: DEFAULT_WINDOW_SECONDS,
+	};
+	return getIdempotencySettings();
+}
+
+export function getIdempotencySettings() {
+	return { ...idempotencySettings };
+}
+
+export async function setIdempotencySettings(input = {}) {
+	const next = { ...idempotencySettings };
+	if (input.windowSeconds !== undefined) {
+		const windowSeconds = Number(input.windowSeconds);
+		if (
+			!Number.isInteger(windowSeconds) ||
+			windowSeconds < MIN_WINDOW_SECONDS ||
+			windowSeconds > MAX_WINDOW_SECONDS
+		)
+			throw idempotencyError(
+				`'windowSeconds' must be an integer from ${MIN_WINDOW_SECONDS} to ${MAX_WINDOW_SECONDS}.`
+			);
+		next.windowSeconds = windowSeconds;
+	}
+	idempotencySettings = next;
+	await writeJsonConfig(SETTINGS_FILE, idempotencySettings);
+	console.log(
+		`IDEMPOTENCY: Keys are kept for ${idempotencySettings.windowSeconds} s.`
+	);
+	return getIdempotencySettings();
+}
+
+// The "Idempotency-Key" header or a "jobKey" body field. Returns { key } (null when the
+// request has none) or { error }.
+export function readIdempotencyKey(headerValue, bodyValue) {
+	const header =
+		headerValue === undefined ? undefined : String(headerValue).trim();
+	if (bodyValue !== undefined && typeof bodyValue !== "string")
+		return { error: "'jobKey' must be a string." };
+	const field = bodyValue?.trim();
+	if (header && field && header !== field)
+		return {
+			error: "The Idempotency-Key header and 'jobKey' name different keys.",
+		};
+	const key = header || field || null;
+	if (key && key.length > MAX_KEY_LENGTH)
+		return {
+			error: `Idempotency keys are at most ${MAX_KEY_LENGTH} characters.`,
+		};
+	return { key };
+}
+
+// Key order does not matter, so a POS that rebuilds the same body still matches
+function stableStringify(value) {
+	if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+	if (value && typeof value === "object")
+		return `{${Object.keys(value)
+			.sort()
+			.filter((key) => value[key] !== undefined)
+			.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+			.join(",")}}`;
+	return JSON.stringify(value);
+}
+
+export function fingerprintRequest(body) {
+	return crypto
+		.createHash("sha256")
+		.update(stableStringify(body ?? null))
+		.digest("hex");
+}
+
+function pruneEntries(now) {
+	for (const [key, entry] of entries)
+		if (entry.expiresAt <= now) entries.delete(key);
+	while (entries.size >= MAX_ENTRIES)
+		entries.delete(entries.keys().next().value);
+}
+
+// Returns one of:
+//   { status: "new", complete(statusCode, body) }  first use: run the request, then complete()
+//                                                   (only a 2xx reply with a body is kept)
+//   { status: "replay", result }                    result: Promise of { statusCode, body }
+//   { status: "conflict" }                          same key, different request body
+// `key` should already be scoped to the caller and endpoint.
+export function claimIdempotencyKey(key, fingerprint) {
+	const now = Date.now();
+	pruneEntries(now);
+	const existing = entries.get(key);
+	if (existing && existing.expiresAt > now) {
+		if (existing.fingerprint !== fingerprint) return { status: "conflict" };
+		return { status: "replay", result: existing.result };
+	}
+
+	let settle;
+	const entry = {
+		fingerprint,
+		expiresAt: now + idempotencySettings.windowSeconds * 1000,
+		result: new Promise((resolve) => {
+			settle = resolve;
+		}),
+	};
+	entries.set(key, entry);
+	return {
+		status: "new",
+		complete(statusCode, body) {
+			settle({ statusCode, body }); // Requests that arrived meanwhile get this response
+			const queued = statusCode >= 200 && statusCode < 300 && body != null;
+			if (!queued && entries.get(key) === entry) entries.delete(key);
+		},
+	};
+}
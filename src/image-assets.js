@@ -0,0 +1,70 @@
+// src/image-assets.js
+import fs from "fs";
+import path from "path";
+import { getConfigPath } from "./config-store.js";
+
+// Image files that templates may print by path ({ type: "image", path }, logoPath).
+// Paths come from API clients, so only image files inside <userData>/assets/ are read:
+// a bare file name ("logo.png") is looked up there, an absolute path must point into it.
+// Anything else (other folders, "..", symlinks out, non-images) is refused, so the print
+// and preview endpoints cannot be used to read arbitrary local files.
+const ASSETS_DIR_NAME = "assets";
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Extension -> MIME subtype and the file signature it must start with
+const IMAGE_TYPES = {
+	png: { mime: "png", magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+	jpg: { mime: "jpeg", magic: [0xff, 0xd8, 0xff] },
+	jpeg: { mime: "jpeg", magic: [0xff, 0xd8, 0xff] },
+	gif: { mime: "gif", magic: [0x47, 0x49, 0x46, 0x38] },
+	bmp: { mime: "bmp", magic: [0x42, 0x4d] },
+};
+
+const imageType = (filePath) =>
+	IMAGE_TYPES[path.extname(filePath).slice(1).toLowerCase()];
+
+export function getAssetsDir() {
+	return getConfigPath(ASSETS_DIR_NAME);
+}
+
+export function ensureAssetsDir() {
+	fs.mkdirSync(getAssetsDir(), { recursive: true });
+	return getAssetsDir();
+}
+
+// Returns the real path of an allowed image file; throws when the path is not allowed
+export function resolveImagePath(imagePath) {
+	if (typeof imagePath !== "string" || !imagePath.trim())
+		throw new Error("Image path must be a non-empty string.");
+	const assetsDir = fs.realpathSync(ensureAssetsDir());
+	let realPath;
+	try {
+		realPath = fs.realpathSync(path.resolve(assetsDir, imagePath.trim()));
+	} catch (statError) {
+		throw new Error(`Image '${imagePath}' not found in the assets folder.`);
+	}
+	if (!realPath.startsWith(assetsDir + path.sep))
+		throw new Error(`Image '${imagePath}' is outside the assets folder.`);
+	if (!imageType(realPath))
+		throw new Error(
+			`Image '${imagePath}' must be one of: ${Object.keys(IMAGE_TYPES).join(
+				", "
+			)}.`
+		);
+	const stats = fs.statSync(realPath);
+	if (!stats.isFile() || stats.size > MAX_IMAGE_BYTES)
+		throw new Error(
+			`Image '${imagePath}' is not a file of at most ${MAX_IMAGE_BYTES} bytes.`
+		);
+	return realPath;
+}
+
+// { buffer, mime } for an allowed image whose contents match its extension
+export function readImageAsset(imagePath) {
+	const filePath = resolveImagePath(imagePath);
+	const buffer = fs.readFileSync(filePath);
+	const type = imageType(filePath);
+	if (!type.magic.every((byte, index) => buffer[index] === byte))
+		throw new Error(`Image '${imagePath}' is not a valid ${type.mime} file.`);
+	return { filePath, buffer, mime: `image/${type.mime}` };
+}
@@ -0,0 +1,281 @@
+// src/job-history.js
+import fs from "fs/promises";
+import path from "path";
+import {
+	getConfigPath,
+	readJsonConfig,
+	writeJsonConfig,
+} from "./config-store.js";
+
+// Every print job on disk, so a ticket lost to a jam can be found and printed again.
+// One JSON Lines file per day in userData/job-history/ (YYYY-MM-DD.jsonl, the local date the
+// job was queued). A job is appended when it is queued and again when it finishes; the
+// last line for an id wins. Day files older than retentionDays are deleted.
+// Settings are stored in userData/job-history.json: { retentionDays }.
+const HISTORY_DIR = "job-history";
+const SETTINGS_FILE = "job-history.json";
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+const DEFAULT_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 1000;
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let historySettings = { retentionDays: DEFAULT_RETENTION_DAYS };
+let writeQueue = Promise.resolve(); // Appends and pruning run one at a time
+let lastPrunedDay = null;
+
+function historyError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const historyDir = () => getConfigPath(HISTORY_DIR);
+
+const pad = (number) => String(number).padStart(2, "0");
+const toDayKey = (date) =>
+	`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// The order a job printed, as POS templates name it (receipts, KOTs)
+export function jobOrderNumber(templateData) {
+	const value = templateData?.orderNumber || templateData?.invoiceNumber;
+	return value === undefined || value === null || value === ""
+		? null
+		: String(value);
+}
+
+function toHistoryRecord(job) {
+	return {
+		id: job.id,
+		state: job.state,
+		printer: {
+			id: job.printer.id,
+			name: job.printer.name,
+			connectionType: job.printer.connectionType,
+		},
+		templateType: job.templateType,
+		templateData: job.templateData,
+		requestOptions: job.requestOptions || {},
+		printDataArray: job.printDataArray || null,
+		attempts: job.attempts,
+		maxAttempts: job.maxAttempts,
+		createdAt: job.createdAt,
+		updatedAt: job.updatedAt,
+		startedAt: job.startedAt,
+		finishedAt: job.finishedAt,
+		message: job.message,
+		error: job.error,
+		...(job.pdfFile ? { pdfFile: job.pdfFile } : {}),
+		...(job.reprintOf ? { reprintOf: job.reprintOf } : {}),
+		...(job.redirectedFrom ? { redirectedFrom: job.redirectedFrom } : {}),
+		...(job.copies ? { copies: job.copies } : {}),
+		history: job.history,
+	};
+}
+
+export async function loadJobHistorySettings() {
+	const stored = await readJsonConfig(SETTINGS_FILE, {});
+	const retentionDays = parseInt(stored?.retentionDays, 10);
+	historySettings = {
+		retentionDays:
+			retentionDays >= 1 && retentionDays <= MAX_RETENTION_DAYS
+				? retentionDays
+				: DEFAULT_RETENTION_DAYS,
+	};
+	console.log(
+		`JOB_HISTORY: Keeping jobs for ${historySettings.retentionDays} day(s).`
+	);
+	await pruneJobHistory();
+	return getJobHistorySettings();
+}
+
+export function getJobHistorySettings() {
+	return { ...historySettings, dir: historyDir() };
+}
+
+export async function setJobHistorySettings(input = {}) {
+	const next = { ...historySettings };
+	if (input.retentionDays !== undefined) {
+		const retentionDays = Number(input.retentionDays);
+		if (
+			!Number.isInteger(retentionDays) ||
+			retentionDays < 1 ||
+			retentionDays > MAX_RETENTION_DAYS
+		)
+			throw historyError(
+				`'retentionDays' must be an integer from 1 to ${MAX_RETENTION_DAYS}.`
+			);
+		next.retentionDays = retentionDays;
+	}
+	historySettings = next;
+	await writeJsonConfig(SETTINGS_FILE, historySettings);
+	console.log(
+		`JOB_HISTORY: Retention set to ${historySettings.retentionDays} day(s).`
+	);
+	await pruneJobHistory();
+	return getJobHistorySettings();
+}
+
+// Deletes day files older than the retention period
+export function pruneJobHistory() {
+	const run = writeQueue.then(async () => {
+		const cutoff = new Date();
+		cutoff.setDate(cutoff.getDate() - historySettings.retentionDays + 1);
+		const oldestKept = toDayKey(cutoff);
+		lastPrunedDay = toDayKey(new Date());
+		let removed = 0;
+		for (const { day, fileName } of await listDayFiles()) {
+			if (day >= oldestKept) continue;
+			await fs.unlink(path.join(historyDir(), fileName)).catch(() => {});
+			removed += 1;
+		}
+		if (removed > 0)
+			console.log(
+				`JOB_HISTORY: Removed ${removed} day file(s) past retention.`
+			);
+	});
+	writeQueue = run.catch((pruneError) =>
+		console.error(`JOB_HISTORY: Pruning failed: ${pruneError.message}`)
+	);
+	return writeQueue;
+}
+
+// Called by print-jobs.js when a job is queued and when it finishes. Never throws: a full
+// disk must not stop tickets from printing.
+export function recordPrintJob(job) {
+	const line = `${JSON.stringify(toHistoryRecord(job))}\n`;
+	const fileName = `${toDayKey(new Date(job.createdAt))}.jsonl`;
+	writeQueue = writeQueue
+		.then(async () => {
+			await fs.mkdir(historyDir(), { recursive: true });
+			await fs.appendFile(path.join(historyDir(), fileName), line, "utf8");
+		})
+		.catch((writeError) =>
+			console.error(
+				`JOB_HISTORY: Could not record job ${job.id}: ${writeError.message}`
+			)
+		);
+	if (lastPrunedDay !== toDayKey(new Date())) pruneJobHistory();
+	return writeQueue;
+}
+
+async function listDayFiles() {
+	let fileNames;
+	try {
+		fileNames = await fs.readdir(historyDir());
+	} catch (readError) {
+		if (readError.code === "ENOENT") return [];
+		throw readError;
+	}
+	return fileNames
+		.map((fileName) => ({
+			fileName,
+			day: DAY_FILE_PATTERN.exec(fileName)?.[1],
+		}))
+		.filter(({ day }) => day)
+		.sort((a, b) => (a.day < b.day ? 1 : -1)); // Newest first
+}
+
+// id -> latest record in one day file. A line cut short by a crash is skipped.
+async function readDayFile(fileName) {
+	const records = new Map();
+	const content = await fs
+		.readFile(path.join(historyDir(), fileName), "utf8")
+		.catch(() => "");
+	for (const line of content.split("\n")) {
+		if (!line.trim()) continue;
+		try {
+			const record = JSON.parse(line);
+			if (record?.id) records.set(record.id, record);
+		} catch (parseError) {
+			continue;
+		}
+	}
+	return records;
+}
+
+// "2025-01-31" means that whole local day; anything else must be a full date/time
+function parseDateFilter(value, label, endOfDay) {
+	if (value === undefined || value === "") return null;
+	const text = String(value).trim();
+	const date = DATE_ONLY_PATTERN.test(text)
+		? new Date(`${text}T${endOfDay ? "23:59:59.999" : "00:00:00"}`)
+		: new Date(text);
+	if (Number.isNaN(date.getTime()))
+		throw historyError(
+			`'${label}' must be a date (YYYY-MM-DD) or an ISO date/time.`
+		);
+	return date;
+}
+
+export async function getJobHistoryRecord(jobId) {
+	await writeQueue;
+	for (const { fileName } of await listDayFiles()) {
+		const record = (await readDayFile(fileName)).get(jobId);
+		if (record) return record;
+	}
+	return null;
+}
+
+// filters: { orderNumber, printer (id or name), printerId, state, from, to, limit }, as
+// strings from the query string. orderNumber matches part of the number, ignoring case.
+// getLiveJob(id) returns the in-memory job, which is newer than its record while running.
+// Returns the matching jobs newest first.
+export async function searchJobHistory(filters = {}, getLiveJob = () => null) {
+	const from = parseDateFilter(filters.from, "from", false);
+	const to = parseDateFilter(filters.to, "to", true);
+	if (from && to && from > to) throw historyError("'from' is after 'to'.");
+	const limit =
+		filters.limit === undefined || filters.limit === ""
+			? DEFAULT_SEARCH_LIMIT
+			: Number(filters.limit);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT)
+		throw historyError(
+			`'limit' must be an integer from 1 to ${MAX_SEARCH_LIMIT}.`
+		);
+	const orderNumber = filters.orderNumber
+		? String(filters.orderNumber).trim().toLowerCase()
+		: "";
+	const printer = filters.printer
+		? String(filters.printer).trim().toLowerCase()
+		: "";
+
+	const matches = (job) => {
+		const createdAt = new Date(job.createdAt);
+		if (from && createdAt < from) return false;
+		if (to && createdAt > to) return false;
+		if (filters.state && job.state !== filters.state) return false;
+		if (filters.printerId && job.printer.id !== filters.printerId) return false;
+		if (
+			printer &&
+			job.printer.id.toLowerCase() !== printer &&
+			job.printer.name.toLowerCase() !== printer
+		)
+			return false;
+		if (
+			orderNumber &&
+			!jobOrderNumber(job.templateData)?.toLowerCase().includes(orderNumber)
+		)
+			return false;
+		return true;
+	};
+
+	await writeQueue;
+	// Day files are named by local date; a day outside the range cannot hold a match
+	const fromDay = from ? toDayKey(from) : null;
+	const toDay = to ? toDayKey(to) : null;
+	const results = [];
+	for (const { day, fileName } of await listDayFiles()) {
+		if ((fromDay && day < fromDay) || (toDay && day > toDay)) continue;
+		const dayJobs = Array.from((await readDayFile(fileName)).values())
+			.map((record) => getLiveJob(record.id) || record)
+			.filter(matches)
+			.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+		for (const job of dayJobs) {
+			results.push(job);
+			if (results.length >= limit) return results;
+		}
+	}
+	return results;
+}
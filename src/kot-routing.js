@@ -0,0 +1,134 @@
+// src/kot-routing.js
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+
+// Splits one order into per-station kitchen tickets (grill, fryer, cold...).
+// Stored as:
+// {
+//   "stations": [
+//     { "name": "grill", "printerRole": "grill", "categories": ["burgers"], "tags": ["grilled"] },
+//     { "name": "cold", "printerName": "Cold Station", "categories": ["salads", "desserts"] }
+//   ],
+//   "fallbackStation": "grill"
+// }
+// Stations are checked in order; the first one whose categories or tags match an item wins.
+const ROUTING_FILE = "kot-routing.json";
+
+let routing = { stations: [], fallbackStation: null };
+
+function routingError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const toLowerList = (values) =>
+	Array.isArray(values)
+		? values.map((v) => String(v).trim().toLowerCase()).filter(Boolean)
+		: [];
+
+export function normalizeKotRouting(input = {}) {
+	if (!Array.isArray(input.stations) || input.stations.length === 0)
+		throw routingError("'stations' must be a non-empty array.");
+	const seenNames = new Set(); // Names pick the fallback and label tickets: no duplicates
+	const stations = input.stations.map((station, index) => {
+		const name = String(station?.name || "").trim();
+		if (!name) throw routingError(`Station #${index + 1} is missing 'name'.`);
+		if (seenNames.has(name.toLowerCase()))
+			throw routingError(`A station named '${name}' already exists.`);
+		seenNames.add(name.toLowerCase());
+		if (!station.printerName && !station.printerRole)
+			throw routingError(
+				`Station '${name}' needs a 'printerName' or 'printerRole'.`
+			);
+		return {
+			name,
+			...(station.printerName
+				? { printerName: String(station.printerName) }
+				: {}),
+			...(station.printerRole
+				? { printerRole: String(station.printerRole) }
+				: {}),
+			categories: toLowerList(station.categories),
+			tags: toLowerList(station.tags),
+		};
+	});
+	const fallbackStation = input.fallbackStation
+		? String(input.fallbackStation).trim()
+		: null;
+	if (
+		fallbackStation &&
+		!stations.some(
+			(s) => s.name.toLowerCase() === fallbackStation.toLowerCase()
+		)
+	)
+		throw routingError(
+			`'fallbackStation' '${fallbackStation}' is not one of the stations.`
+		);
+	return { stations, fallbackStation };
+}
+
+export async function loadKotRouting() {
+	const stored = await readJsonConfig(ROUTING_FILE, null);
+	if (stored) {
+		try {
+			routing = normalizeKotRouting(stored);
+		} catch (error) {
+			console.error(
+				`KOT_ROUTING: Ignoring invalid ${ROUTING_FILE}: ${error.message}`
+			);
+		}
+	}
+	console.log(`KOT_ROUTING: Loaded ${routing.stations.length} station(s).`);
+	return routing;
+}
+
+export function getKotRouting() {
+	return routing;
+}
+
+export async function setKotRouting(input) {
+	routing = normalizeKotRouting(input);
+	await writeJsonConfig(ROUTING_FILE, routing);
+	return routing;
+}
+
+function findStationForItem(item, stations) {
+	const category = String(item?.category || "")
+		.trim()
+		.toLowerCase();
+	const tags = toLowerList(item?.tags);
+	return (
+		stations.find(
+			(station) =>
+				(category && station.categories.includes(category)) ||
+				tags.some((tag) => station.tags.includes(tag))
+		) || null
+	);
+}
+
+// Returns { groups: [{ station, items }], unrouted } with groups in station order, only for
+// stations that got items. Items matching no station go to the fallback station, or to
+// `unrouted` if none is set.
+export function splitOrderByStation(order, routingConfig = routing) {
+	const { stations, fallbackStation } = routingConfig;
+	const fallback = fallbackStation
+		? stations.find(
+				(s) => s.name.toLowerCase() === fallbackStation.toLowerCase()
+		  )
+		: null;
+	const itemsByStation = new Map(stations.map((s) => [s.name, []]));
+	const unrouted = [];
+
+	for (const item of order?.items || []) {
+		const station = findStationForItem(item, stations) || fallback;
+		if (station) itemsByStation.get(station.name).push(item);
+		else unrouted.push(item);
+	}
+
+	return {
+		groups: stations
+			.filter((station) => itemsByStation.get(station.name).length > 0)
+			.map((station) => ({ station, items: itemsByStation.get(station.name) })),
+		unrouted,
+	};
+}
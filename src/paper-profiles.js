@@ -0,0 +1,123 @@
+// src/paper-profiles.js
+
+// What one line of paper holds on a given printer. Templates, the ESC/POS generator and
+// the HTML renderer all lay out from the same profile, so a 58mm printer gets 32-column
+// tickets without touching the template.
+//   dotsPerLine   printable dots across the head (203 dpi heads: 576 for 80mm, 384 for 58mm)
+//   charsPerLine  { A, B } columns in Font A (12x24) and Font B (9x17)
+//   margins       { left, right } unprintable dots, sent as GS L / GS W when non-zero
+//   maxPageDots   tallest HTML page printed as a raster image (16000 dots is 2 m at 203 dpi)
+export const PAPER_PROFILES = {
+	"80MM": {
+		widthMm: 80,
+		dotsPerLine: 576,
+		charsPerLine: { A: 48, B: 64 },
+		margins: { left: 0, right: 0 },
+		maxPageDots: 16000,
+	},
+	// Most common 80mm clone heads only print 72mm (512 dots); the old 42-column layout
+	"80MM_512": {
+		widthMm: 80,
+		dotsPerLine: 512,
+		charsPerLine: { A: 42, B: 56 },
+		margins: { left: 0, right: 0 },
+		maxPageDots: 16000,
+	},
+	"58MM": {
+		widthMm: 58,
+		dotsPerLine: 384,
+		charsPerLine: { A: 32, B: 42 },
+		margins: { left: 0, right: 0 },
+		maxPageDots: 16000,
+	},
+};
+
+export const DEFAULT_PAPER_PROFILE = "80MM_512";
+
+// Ceiling for maxPageDots overrides: the page is held as 4 bytes per dot while dithering
+const MAX_PAGE_DOTS_LIMIT = 40000;
+
+function paperError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const positiveInt = (value, label) => {
+	const number = parseInt(value, 10);
+	if (!Number.isInteger(number) || number <= 0)
+		throw paperError(`Paper '${label}' must be a positive integer.`);
+	return number;
+};
+
+// Accepts a preset name ("58MM"), or an object that may name a preset to start from and
+// override any field: { profile: "80MM", font: "B", margins: { left: 16 } }.
+// Returns a full profile plus `font` and `columns`: the characters per line for that font
+// that fit between the margins (charsPerLine is for the full head).
+export function resolvePaperProfile(input) {
+	const spec =
+		typeof input === "string" ? { profile: input } : { ...(input || {}) };
+	const profileName = String(spec.profile || spec.name || DEFAULT_PAPER_PROFILE)
+		.trim()
+		.toUpperCase();
+	const base = PAPER_PROFILES[profileName];
+	if (!base)
+		throw paperError(
+			`Unknown paper profile '${profileName}'. Use one of: ${Object.keys(
+				PAPER_PROFILES
+			).join(", ")}.`
+		);
+
+	const font = String(spec.font || "A").toUpperCase();
+	if (font !== "A" && font !== "B")
+		throw paperError("Paper 'font' must be 'A' or 'B'.");
+	const charsPerLine = {
+		A: positiveInt(
+			spec.charsPerLine?.A ?? base.charsPerLine.A,
+			"charsPerLine.A"
+		),
+		B: positiveInt(
+			spec.charsPerLine?.B ?? base.charsPerLine.B,
+			"charsPerLine.B"
+		),
+	};
+	const margins = {
+		left: Math.max(
+			0,
+			parseInt(spec.margins?.left ?? base.margins.left, 10) || 0
+		),
+		right: Math.max(
+			0,
+			parseInt(spec.margins?.right ?? base.margins.right, 10) || 0
+		),
+	};
+	const dotsPerLine = positiveInt(
+		spec.dotsPerLine ?? base.dotsPerLine,
+		"dotsPerLine"
+	);
+	if (margins.left + margins.right >= dotsPerLine)
+		throw paperError("Paper margins leave no printable width.");
+	const maxPageDots = positiveInt(
+		spec.maxPageDots ?? base.maxPageDots,
+		"maxPageDots"
+	);
+	if (maxPageDots > MAX_PAGE_DOTS_LIMIT)
+		throw paperError(
+			`Paper 'maxPageDots' must be at most ${MAX_PAGE_DOTS_LIMIT}.`
+		);
+
+	// One character cell of the font is dotsPerLine / charsPerLine dots wide
+	const cellDots = dotsPerLine / charsPerLine[font];
+	const printableDots = dotsPerLine - margins.left - margins.right;
+
+	return {
+		profile: profileName,
+		widthMm: Number(spec.widthMm) || base.widthMm,
+		dotsPerLine,
+		charsPerLine,
+		margins,
+		maxPageDots,
+		font,
+		columns: Math.max(1, Math.floor(printableDots / cellDots + 1e-9)),
+	};
+}
@@ -0,0 +1,151 @@
+// src/pdf-archive.js
+import { app, BrowserWindow } from "electron"; // Offscreen window for printToPDF
+import fs from "fs/promises";
+import path from "path";
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+import { loadSandboxedHtml, sandboxedWebPreferences } from "./html-sandbox.js";
+
+// PDF output for VIRTUAL printers. printerOptions.output (or the printer's stored "output"
+// setting) picks what a job does: "print" sends it to the OS print dialog/device as before,
+// "pdf" only saves a PDF and "both" does both. The PDF page is the receipt itself: paper
+// width (80mm/58mm) with the printable dots centred, and as tall as the content.
+// PDFs are saved to the archive folder as <order number>_<YYYY-MM-DD_HH-mm-ss>.pdf.
+// Stored in userData/pdf-archive.json: { dir } (empty means DEFAULT_ARCHIVE_SUBDIR under
+// the user's Documents folder).
+const ARCHIVE_SETTINGS_FILE = "pdf-archive.json";
+const DEFAULT_ARCHIVE_SUBDIR = path.join("POS Print Bridge", "Receipts");
+const DOTS_PER_INCH = 203; // Thermal heads; the HTML is laid out at 1 CSS px per dot
+const CSS_PX_PER_INCH = 96;
+const PAGE_SLACK_INCHES = 0.1; // Print layout can run a little taller than the window
+const LOAD_TIMEOUT_MS = 15000;
+
+export const VIRTUAL_OUTPUT_MODES = ["print", "pdf", "both"];
+
+let archiveSettings = { dir: "" };
+
+function pdfArchiveError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+export async function loadPdfArchiveSettings() {
+	const stored = await readJsonConfig(ARCHIVE_SETTINGS_FILE, {});
+	archiveSettings = {
+		dir: typeof stored?.dir === "string" ? stored.dir : "",
+	};
+	console.log(`PDF_ARCHIVE: Saving PDFs to '${getArchiveDir()}'.`);
+	return getPdfArchiveSettings();
+}
+
+function getArchiveDir() {
+	return (
+		archiveSettings.dir ||
+		path.join(app.getPath("documents"), DEFAULT_ARCHIVE_SUBDIR)
+	);
+}
+
+export function getPdfArchiveSettings() {
+	return { ...archiveSettings, effectiveDir: getArchiveDir() };
+}
+
+export async function setPdfArchiveSettings(input = {}) {
+	const next = { ...archiveSettings };
+	if (input.dir !== undefined) {
+		const dir = String(input.dir || "").trim();
+		if (dir && !path.isAbsolute(dir))
+			throw pdfArchiveError("PDF archive 'dir' must be an absolute path.");
+		if (dir) {
+			try {
+				await fs.mkdir(dir, { recursive: true });
+			} catch (mkdirError) {
+				throw pdfArchiveError(
+					`Cannot use '${dir}' as the PDF archive: ${mkdirError.message}`
+				);
+			}
+		}
+		next.dir = dir;
+	}
+	archiveSettings = next;
+	await writeJsonConfig(ARCHIVE_SETTINGS_FILE, archiveSettings);
+	console.log(`PDF_ARCHIVE: Folder set to '${getArchiveDir()}'.`);
+	return getPdfArchiveSettings();
+}
+
+// htmlContent is laid out as wide as the printable dots (commandsToSimpleHtml output or an
+// HTML template). Returns the PDF as a Buffer.
+export async function renderHtmlToPdf(htmlContent, paper) {
+	let win = null;
+	try {
+		win = new BrowserWindow({
+			show: false,
+			width: paper.dotsPerLine,
+			height: 800,
+			useContentSize: true,
+			webPreferences: sandboxedWebPreferences({ offscreen: true }),
+		});
+		await loadSandboxedHtml(win, htmlContent, LOAD_TIMEOUT_MS);
+		const contentPx = await win.webContents.executeJavaScript(
+			"Math.ceil(document.documentElement.scrollHeight)"
+		);
+
+		const pageWidthInches = paper.widthMm / 25.4;
+		const printableInches = paper.dotsPerLine / DOTS_PER_INCH;
+		const sideMargin = Math.max(0, (pageWidthInches - printableInches) / 2);
+		return await win.webContents.printToPDF({
+			printBackground: true,
+			scale: CSS_PX_PER_INCH / DOTS_PER_INCH, // 1 CSS px prints as 1 dot
+			pageSize: {
+				width: pageWidthInches,
+				height: (contentPx || 1) / DOTS_PER_INCH + PAGE_SLACK_INCHES,
+			},
+			margins: { top: 0, bottom: 0, left: sideMargin, right: sideMargin },
+		});
+	} finally {
+		if (win && !win.isDestroyed()) win.close();
+	}
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+function toFileStamp(date) {
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+		date.getDate()
+	)}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(
+		date.getSeconds()
+	)}`;
+}
+
+// Order numbers come from the POS; keep them readable but safe as a file name
+const toFileLabel = (value) =>
+	String(value)
+		.trim()
+		.replace(/[\\/:*?"<>|\s]+/g, "-")
+		.replace(/^[.-]+|[.-]+$/g, "")
+		.slice(0, 80);
+
+// Saves the PDF and returns its path. Without an order number the job id names the file;
+// a second PDF for the same order in the same second gets a "-2", "-3", ... suffix.
+export async function archivePdf(
+	pdf,
+	{ orderNumber, jobId, date = new Date() }
+) {
+	const dir = getArchiveDir();
+	await fs.mkdir(dir, { recursive: true });
+	const label =
+		toFileLabel(orderNumber ?? "") || `job-${String(jobId).slice(0, 8)}`;
+	const baseName = `${label}_${toFileStamp(date)}`;
+	for (let copy = 1; ; copy++) {
+		const filePath = path.join(
+			dir,
+			`${baseName}${copy > 1 ? `-${copy}` : ""}.pdf`
+		);
+		try {
+			await fs.writeFile(filePath, pdf, { flag: "wx" });
+			console.log(`PDF_ARCHIVE: Saved '${filePath}'.`);
+			return filePath;
+		} catch (writeError) {
+			if (writeError.code !== "EEXIST") throw writeError;
+		}
+	}
+}
@@ -0,0 +1,118 @@
+// src/print-copies.js
+import { escapeHtml } from "./html-text.js";
+
+// Several copies of one ticket in a single job: the template renders once and the copies
+// go to the printer in one stream, so they cannot end up half printed across requests.
+// printerOptions.copies is a count (2) or one spec per copy:
+//   ["CUSTOMER COPY", { caption: "MERCHANT COPY", cut: false, feed: 2 }]
+//   caption  bold centred line on top of that copy
+//   cut      cut after this copy when another follows (default true)
+//   feed     lines to feed after this copy when another follows (0-10)
+// The last copy ends the way the ticket does. Only the first copy kicks the cash drawer.
+export const MAX_COPIES = 10;
+const MAX_CAPTION_LENGTH = 64;
+const MAX_FEED_LINES = 10;
+
+function copiesError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+function normalizeCopy(spec, index) {
+	const copy = typeof spec === "string" ? { caption: spec } : spec;
+	if (!copy || typeof copy !== "object" || Array.isArray(copy))
+		throw copiesError(
+			`Copy ${index + 1} must be a caption string or { caption, cut, feed }.`
+		);
+	const caption =
+		copy.caption === undefined || copy.caption === null
+			? ""
+			: String(copy.caption).trim();
+	if (caption.length > MAX_CAPTION_LENGTH)
+		throw copiesError(
+			`Copy ${
+				index + 1
+			} caption is longer than ${MAX_CAPTION_LENGTH} characters.`
+		);
+	if (copy.cut !== undefined && typeof copy.cut !== "boolean")
+		throw copiesError(`Copy ${index + 1} 'cut' must be true or false.`);
+	const feed = copy.feed === undefined ? 0 : Number(copy.feed);
+	if (!Number.isInteger(feed) || feed < 0 || feed > MAX_FEED_LINES)
+		throw copiesError(
+			`Copy ${index + 1} 'feed' must be an integer from 0 to ${MAX_FEED_LINES}.`
+		);
+	return { caption, cut: copy.cut !== false, feed };
+}
+
+// Returns the normalized copies, or null for a single plain copy (nothing to change).
+// Throws a 400 error on bad input.
+export function resolveCopies(value) {
+	if (value === undefined || value === null) return null;
+	let copies;
+	if (Array.isArray(value)) {
+		if (value.length === 0 || value.length > MAX_COPIES)
+			throw copiesError(
+				`'copies' must list between 1 and ${MAX_COPIES} copies.`
+			);
+		copies = value.map(normalizeCopy);
+	} else {
+		const count = Number(value);
+		if (!Number.isInteger(count) || count < 1 || count > MAX_COPIES)
+			throw copiesError(
+				`'copies' must be a number from 1 to ${MAX_COPIES} or an array of copy specs.`
+			);
+		copies = Array.from({ length: count }, () => normalizeCopy({}, 0));
+	}
+	return copies.length === 1 && !copies[0].caption ? null : copies;
+}
+
+// Command objects for all copies, for generatePrintBufferNTP / commandsToSimpleHtml
+export function withCopies(printDataArray, copies) {
+	if (!copies) return printDataArray;
+	const last = printDataArray[printDataArray.length - 1];
+	const endsWithCut = last?.type?.toLowerCase() === "cut";
+	const content = endsWithCut ? printDataArray.slice(0, -1) : printDataArray;
+	const cut = endsWithCut ? last : { type: "cut" };
+	return copies.flatMap((copy, index) => {
+		const isLast = index === copies.length - 1;
+		return [
+			...(copy.caption
+				? [{ type: "text", content: copy.caption, align: "CT", style: "B" }]
+				: []),
+			...(index === 0
+				? content
+				: content.filter((cmd) => cmd.type?.toLowerCase() !== "cashdraw")),
+			...(!isLast && copy.feed > 0 ? [{ type: "feed", lines: copy.feed }] : []),
+			...(isLast || copy.cut ? [cut] : []),
+		];
+	});
+}
+
+// HTML documents for VIRTUAL printers: the body repeated once per copy, a page each
+export function withCopiesHtml(html, copies) {
+	if (!copies) return html;
+	const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+	const inner = body ? body[1] : html;
+	const pages = copies
+		.map(
+			(copy, index) =>
+				`${
+					copy.caption
+						? `<div style="text-align:center;font-weight:bold">${escapeHtml(
+								copy.caption
+						  )}</div>`
+						: ""
+				}${inner}${
+					index < copies.length - 1
+						? '<div style="break-after:page"></div>'
+						: ""
+				}`
+		)
+		.join("");
+	if (!body) return pages;
+	const bodyTag = /<body[^>]*>/i.exec(body[0])[0];
+	return `${html.slice(0, body.index)}${bodyTag}${pages}</body>${html.slice(
+		body.index + body[0].length
+	)}`;
+}
@@ -6,6 +6,8 @@ import os from "os"; // For OS specific logic if needed in test or print
 import { exec } from "child_process";
 import fs from "fs/promises";
 import path from "path";
+import { queryPrinterHardwareStatus } from "./printer-status.js";
+import { isPrinterBusy, runExclusive } from "./print-jobs.js";
 
 const bonjourService = Bonjour(); // Single instance for Bonjour service
 
@@ -19,36 +21,34 @@ const KNOWN_POS_PRINTER_VIDS = [
 	// Add other VIDs
 ];
 
-export async function discoverRawUsbDevicesWithNodeUsb() {
-	const rawUsbPrinters = [];
+const USB_ATTACH_SETTLE_MS = 1000; // String descriptors are often unreadable right after attach
+
+function rawUsbPrinterId(vid, pid) {
+	return `raw_usb_node-${vid.toString(16)}-${pid.toString(16)}`;
+}
+
+// Builds the RAW_USB printer entry for a device, or null if it does not look like a POS
+// printer. Used by the full scan and by USB hot-plug (see watchUsbHotplug).
+export async function describeRawUsbDevice(device) {
 	const logPrefix = "RAW_USB_NODEUSB:";
-	console.log(`${logPrefix} Discovering raw USB devices with 'node-usb'...`);
+	const vid = device.deviceDescriptor.idVendor;
+	const pid = device.deviceDescriptor.idProduct;
+	let isLikelyPrinter = false;
 
-	try {
-		const devices = usb.getDeviceList();
+	// Heuristic 1: Check against known POS Printer Vendor IDs
+	if (KNOWN_POS_PRINTER_VIDS.includes(vid)) {
+		isLikelyPrinter = true;
 		console.log(
-			`${logPrefix} Found ${devices.length} total USB devices connected to the system.`
+			`${logPrefix} Device VID ${vid.toString(16)} matched known POS VIDs.`
 		);
+	}
 
-		for (const device of devices) {
-			const vid = device.deviceDescriptor.idVendor;
-			const pid = device.deviceDescriptor.idProduct;
-			let isLikelyPrinter = false;
-
-			// Heuristic 1: Check against known POS Printer Vendor IDs
-			if (KNOWN_POS_PRINTER_VIDS.includes(vid)) {
-				isLikelyPrinter = true;
-				console.log(
-					`${logPrefix} Device VID ${vid.toString(16)} matched known POS VIDs.`
-				);
-			}
-
-			// Heuristic 2: Check USB interface class (7 is Printer Class)
-			// This requires opening the device, which can be problematic and might
-			// interfere with other drivers or require exclusive access.
-			// For discovery, it's safer to rely on VID/PID and descriptors first.
-			// If needed, open/close briefly just for this check (handle errors carefully).
-			/*
+	// Heuristic 2: Check USB interface class (7 is Printer Class)
+	// This requires opening the device, which can be problematic and might
+	// interfere with other drivers or require exclusive access.
+	// For discovery, it's safer to rely on VID/PID and descriptors first.
+	// If needed, open/close briefly just for this check (handle errors carefully).
+	/*
             if (!isLikelyPrinter) { // Only check interfaces if VID didn't match
                 try {
                     device.open();
@@ -71,64 +71,146 @@ export async function discoverRawUsbDevicesWithNodeUsb() {
             }
             */
 
-			if (isLikelyPrinter) {
-				let manufacturer = "Unknown";
-				let product = `USB Printer (VID:0x${vid
-					.toString(16)
-					.padStart(4, "0")} PID:0x${pid.toString(16).padStart(4, "0")})`;
-				let serial = "N/A";
+	if (!isLikelyPrinter) return null;
 
-				// Attempt to get string descriptors (can fail if device is claimed or doesn't support)
-				try {
-					device.open(); // Must open to get string descriptors
-					// Ensure there's a way to handle device busy if it's already opened by OS printer queue
-
-					// Promisify getStringDescriptor
-					const getStringDesc = (index) => {
-						return new Promise((resolve, reject) => {
-							if (!index) return resolve(""); // No index means no descriptor
-							device.getStringDescriptor(index, (error, data) => {
-								if (error) reject(error);
-								else resolve(data);
-							});
-						});
-					};
+	let manufacturer = "Unknown";
+	let product = `USB Printer (VID:0x${vid
+		.toString(16)
+		.padStart(4, "0")} PID:0x${pid.toString(16).padStart(4, "0")})`;
+	let serial = "N/A";
+
+	// Attempt to get string descriptors (can fail if device is claimed or doesn't support)
+	try {
+		device.open(); // Must open to get string descriptors
+		// Ensure there's a way to handle device busy if it's already opened by OS printer queue
+
+		// Promisify getStringDescriptor
+		const getStringDesc = (index) => {
+			return new Promise((resolve, reject) => {
+				if (!index) return resolve(""); // No index means no descriptor
+				device.getStringDescriptor(index, (error, data) => {
+					if (error) reject(error);
+					else resolve(data);
+				});
+			});
+		};
+
+		if (device.deviceDescriptor.iManufacturer) {
+			manufacturer =
+				(await getStringDesc(device.deviceDescriptor.iManufacturer)) ||
+				manufacturer;
+		}
+		if (device.deviceDescriptor.iProduct) {
+			product =
+				(await getStringDesc(device.deviceDescriptor.iProduct)) || product;
+		}
+		if (device.deviceDescriptor.iSerialNumber) {
+			serial =
+				(await getStringDesc(device.deviceDescriptor.iSerialNumber)) || serial;
+		}
+		device.close(); // Close after getting descriptors
+	} catch (descErr) {
+		// console.warn(`${logPrefix} Could not get string descriptors for VID ${vid.toString(16)}: ${descErr.message}. Device might be in use by OS driver.`);
+		if (device.opened) device.close(); // Ensure it's closed if open failed mid-way
+	}
 
-					if (device.deviceDescriptor.iManufacturer) {
-						manufacturer =
-							(await getStringDesc(device.deviceDescriptor.iManufacturer)) ||
-							manufacturer;
-					}
-					if (device.deviceDescriptor.iProduct) {
-						product =
-							(await getStringDesc(device.deviceDescriptor.iProduct)) ||
-							product;
-					}
-					if (device.deviceDescriptor.iSerialNumber) {
-						serial =
-							(await getStringDesc(device.deviceDescriptor.iSerialNumber)) ||
-							serial;
-					}
-					device.close(); // Close after getting descriptors
-				} catch (descErr) {
-					// console.warn(`${logPrefix} Could not get string descriptors for VID ${vid.toString(16)}: ${descErr.message}. Device might be in use by OS driver.`);
-					if (device.opened) device.close(); // Ensure it's closed if open failed mid-way
+	return {
+		id: rawUsbPrinterId(vid, pid),
+		name: `${product} (S/N: ${serial}, Manuf: ${manufacturer})`, // More descriptive name
+		connectionType: "RAW_USB", // Distinct type for these printers
+		status: "Discovered (Raw USB via node-usb)",
+		vid: vid,
+		pid: pid,
+		manufacturer: manufacturer,
+		product: product,
+		serialNumber: serial,
+		isVirtual: false,
+		// No 'osName' because this isn't from the OS printer list
+	};
+}
+
+// Calls onAttach(printerConfig) when a POS printer is plugged in and onDetach({ id, vid, pid })
+// when one is unplugged, so the list can be patched without a full rediscovery.
+// Returns a function that unsubscribes.
+export function watchUsbHotplug({ onAttach, onDetach }) {
+	const logPrefix = "RAW_USB_HOTPLUG:";
+	const usbEvents = usb.usb; // node-usb's hot-plug EventEmitter
+	if (!usbEvents || typeof usbEvents.on !== "function") {
+		console.warn(
+			`${logPrefix} Hot-plug events not available in this 'usb' build.`
+		);
+		return () => {};
+	}
+	const pendingAttach = new Map(); // id -> timer, so a quick unplug cancels the attach
+	const handleAttach = (device) => {
+		const id = rawUsbPrinterId(
+			device.deviceDescriptor.idVendor,
+			device.deviceDescriptor.idProduct
+		);
+		clearTimeout(pendingAttach.get(id));
+		pendingAttach.set(
+			id,
+			setTimeout(async () => {
+				pendingAttach.delete(id);
+				try {
+					const printer = await describeRawUsbDevice(device);
+					if (!printer) return;
+					console.log(`${logPrefix} Attached '${printer.name}'.`);
+					await onAttach(printer);
+				} catch (attachError) {
+					console.error(
+						`${logPrefix} Handling attached device failed: ${attachError.message}`
+					);
 				}
+			}, USB_ATTACH_SETTLE_MS)
+		);
+	};
+	const handleDetach = (device) => {
+		const vid = device.deviceDescriptor.idVendor;
+		const pid = device.deviceDescriptor.idProduct;
+		const id = rawUsbPrinterId(vid, pid);
+		if (pendingAttach.has(id)) {
+			clearTimeout(pendingAttach.get(id));
+			pendingAttach.delete(id);
+		}
+		if (!KNOWN_POS_PRINTER_VIDS.includes(vid)) return;
+		console.log(
+			`${logPrefix} Detached VID:0x${vid.toString(16)} PID:0x${pid.toString(
+				16
+			)}.`
+		);
+		try {
+			onDetach({ id, vid, pid });
+		} catch (detachError) {
+			console.error(
+				`${logPrefix} Handling detached device failed: ${detachError.message}`
+			);
+		}
+	};
+	usbEvents.on("attach", handleAttach);
+	usbEvents.on("detach", handleDetach);
+	return () => {
+		pendingAttach.forEach((timer) => clearTimeout(timer));
+		pendingAttach.clear();
+		usbEvents.removeListener("attach", handleAttach);
+		usbEvents.removeListener("detach", handleDetach);
+	};
+}
 
-				rawUsbPrinters.push({
-					id: `raw_usb_node-${vid.toString(16)}-${pid.toString(16)}`,
-					name: `${product} (S/N: ${serial}, Manuf: ${manufacturer})`, // More descriptive name
-					connectionType: "RAW_USB", // Distinct type for these printers
-					status: "Discovered (Raw USB via node-usb)",
-					vid: vid,
-					pid: pid,
-					manufacturer: manufacturer,
-					product: product,
-					serialNumber: serial,
-					isVirtual: false,
-					// No 'osName' because this isn't from the OS printer list
-				});
-			}
+export async function discoverRawUsbDevicesWithNodeUsb() {
+	const rawUsbPrinters = [];
+	const logPrefix = "RAW_USB_NODEUSB:";
+	console.log(`${logPrefix} Discovering raw USB devices with 'node-usb'...`);
+
+	try {
+		const devices = usb.getDeviceList();
+		console.log(
+			`${logPrefix} Found ${devices.length} total USB devices connected to the system.`
+		);
+
+		for (const device of devices) {
+			const printer = await describeRawUsbDevice(device);
+			if (printer) rawUsbPrinters.push(printer);
 		}
 		console.log(
 			`${logPrefix} Found ${rawUsbPrinters.length} potential raw USB printers based on VIDs/heuristics.`
@@ -371,6 +453,15 @@ export async function discoverLanPrintersViaMDNS() {
 // 	}
 // }
 
+// DLE EOT shares the USB interface or socket with print jobs, so it runs in the printer's
+// job queue; while a job is running it is skipped (null) and the next poll fills it in.
+function queryHardwareStatusExclusive(printerConfig) {
+	if (isPrinterBusy(printerConfig.id)) return Promise.resolve(null);
+	return runExclusive(printerConfig.id, () =>
+		queryPrinterHardwareStatus(printerConfig)
+	);
+}
+
 export async function testPrinterConnection(printerConfig) {
 	const logPrefix = `TEST_CONN [${printerConfig.name} (${printerConfig.connectionType})]:`;
 	console.log(`${logPrefix} Starting connection test.`);
@@ -427,7 +518,11 @@ export async function testPrinterConnection(printerConfig) {
 				);
 				device.close();
 				console.log(`${logPrefix} Raw USB device closed successfully.`);
-				return { ...printerConfig, status: "Connected (USB Open/Close OK)" };
+				return {
+					...printerConfig,
+					status: "Connected (USB Open/Close OK)",
+					hardwareStatus: await queryHardwareStatusExclusive(printerConfig),
+				};
 			} catch (usbError) {
 				console.error(
 					`${logPrefix} Raw USB test open/close error:`,
@@ -475,6 +570,10 @@ export async function testPrinterConnection(printerConfig) {
 		return {
 			...printerConfig,
 			status: isConnected ? "Connected" : "Connection Failed",
+			// Paper/cover/drawer flags; null for OS spooler printers
+			hardwareStatus: isConnected
+				? await queryHardwareStatusExclusive(printerConfig)
+				: null,
 		};
 	} catch (error) {
 		const msg = error.message ? error.message.substring(0, 70) : "Unknown";
@@ -0,0 +1,265 @@
+// src/print-jobs.js
+import { randomUUID } from "crypto";
+import { publishEvent, subscribeEvents } from "./event-bus.js";
+import { recordPrintJob, jobOrderNumber } from "./job-history.js";
+
+export const JOB_STATES = {
+	QUEUED: "queued",
+	RENDERING: "rendering",
+	SENDING: "sending",
+	DONE: "done",
+	FAILED: "failed",
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3; // First try + 2 retries for transport failures
+const RETRY_DELAY_MS = 2000; // Multiplied by the attempt number
+const MAX_JOBS_IN_MEMORY = 500; // Oldest finished jobs are dropped beyond this
+
+const jobs = new Map(); // jobId -> job (Map keeps insertion order)
+const printerQueues = new Map(); // printerId -> tail promise of that printer's queue
+
+function touchJob(job, state, message) {
+	const now = new Date().toISOString();
+	job.state = state;
+	job.updatedAt = now;
+	job.history.push({ state, at: now, ...(message ? { message } : {}) });
+	if (state === JOB_STATES.DONE || state === JOB_STATES.FAILED)
+		recordPrintJob(job);
+	publishJobEvent(job);
+}
+
+function publishJobEvent(job) {
+	publishEvent("job.updated", toPublicJob(job), {
+		printerId: job.printer.id,
+		jobId: job.id,
+	});
+}
+
+function pruneFinishedJobs() {
+	if (jobs.size <= MAX_JOBS_IN_MEMORY) return;
+	for (const [id, job] of jobs) {
+		if (jobs.size <= MAX_JOBS_IN_MEMORY) break;
+		if (job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED)
+			jobs.delete(id);
+	}
+}
+
+export function createPrintJob({
+	printer,
+	templateType,
+	templateData,
+	printerOptions = {},
+	requestOptions = printerOptions,
+	reprintOf = null,
+	backups = [],
+}) {
+	const now = new Date().toISOString();
+	const maxAttempts =
+		parseInt(printerOptions.retries, 10) >= 0
+			? parseInt(printerOptions.retries, 10) + 1
+			: DEFAULT_MAX_ATTEMPTS;
+	const job = {
+		id: randomUUID(),
+		state: JOB_STATES.QUEUED,
+		printer, // Full printer config at the time the job was accepted
+		templateType,
+		templateData,
+		printerOptions,
+		requestOptions, // What the POS sent, without printer defaults (reprints start from it)
+		printDataArray: null, // Commands the template produced, kept for the job history
+		reprintOf, // Id of the job this one prints again
+		copies: null, // [{ copy, caption }] once rendered with printerOptions.copies
+		backups, // Printer configs to fail over to, in order (used up as the job moves on)
+		redirectedFrom: null, // { id, name } of the printer the job was meant for, after a failover
+		attempts: 0,
+		maxAttempts,
+		createdAt: now,
+		updatedAt: now,
+		startedAt: null,
+		finishedAt: null,
+		message: null,
+		error: null,
+		history: [{ state: JOB_STATES.QUEUED, at: now }],
+	};
+	jobs.set(job.id, job);
+	pruneFinishedJobs();
+	recordPrintJob(job);
+	publishJobEvent(job);
+	return job;
+}
+
+export function getPrintJob(jobId) {
+	return jobs.get(jobId) || null;
+}
+
+export function listPrintJobs({ state, printerId } = {}) {
+	return Array.from(jobs.values())
+		.filter((job) => !state || job.state === state)
+		.filter((job) => !printerId || job.printer.id === printerId)
+		.reverse(); // Newest first
+}
+
+export function isPrinterBusy(printerId) {
+	return printerQueues.has(printerId);
+}
+
+// Runs `task` after everything already queued for `printerId` has settled, so
+// two transfers never interleave on the same device or socket.
+export function runExclusive(printerId, task) {
+	const previous = printerQueues.get(printerId) || Promise.resolve();
+	const run = previous.catch(() => {}).then(task);
+	const tail = run.catch(() => {});
+	printerQueues.set(printerId, tail);
+	tail.then(() => {
+		if (printerQueues.get(printerId) === tail) printerQueues.delete(printerId);
+	});
+	return run;
+}
+
+// handlers.render(job) -> rendered output (once per printer; template errors are not retried)
+// handlers.send(job, rendered) -> optional result message. Only errors marked
+//   retryable (nothing reached the printer yet) are retried, up to job.maxAttempts; after
+//   data went out a retry could print the ticket twice, so the operator reprints instead.
+// handlers.retarget(job, config) -> points the job at a backup printer (optional)
+// With job.backups, any send failure (connection or transfer) moves the job to the next
+// backup at once instead of retrying the same printer; the job then waits in that printer's
+// queue and renders again. The backup's ticket carries the REDIRECTED banner, so a ticket
+// that partly printed before a transfer failure is not mistaken for a second order.
+export function enqueuePrintJob(job, handlers) {
+	return runExclusive(job.printer.id, () => runPrintJob(job, handlers)).then(
+		(backup) => {
+			if (!backup) return job;
+			handlers.retarget(job, backup);
+			return enqueuePrintJob(job, handlers);
+		}
+	);
+}
+
+// Resolves with the backup printer config to fail over to, or null once the job has ended
+async function runPrintJob(job, { render, send, retarget }) {
+	const logPrefix = `PRINT_JOB [${job.id} -> ${job.printer.name}]:`;
+	job.startedAt = job.startedAt || new Date().toISOString();
+	let rendered;
+	try {
+		touchJob(job, JOB_STATES.RENDERING);
+		rendered = await render(job);
+	} catch (renderError) {
+		console.error(`${logPrefix} Render failed: ${renderError.message}`);
+		job.error = `Template error: ${renderError.message}`;
+		job.finishedAt = new Date().toISOString();
+		touchJob(job, JOB_STATES.FAILED, job.error);
+		return null;
+	}
+
+	let printerAttempts = 0;
+	while (printerAttempts < job.maxAttempts) {
+		printerAttempts += 1;
+		job.attempts += 1;
+		try {
+			touchJob(job, JOB_STATES.SENDING, `Attempt ${job.attempts}`);
+			job.message = (await send(job, rendered)) || "Job sent to printer.";
+			job.error = null;
+			job.finishedAt = new Date().toISOString();
+			touchJob(job, JOB_STATES.DONE, job.message);
+			console.log(`${logPrefix} Done after ${job.attempts} attempt(s).`);
+			return null;
+		} catch (sendError) {
+			job.error = sendError.message;
+			console.error(
+				`${logPrefix} Attempt ${printerAttempts}/${job.maxAttempts} failed: ${sendError.message}`
+			);
+			if (retarget && job.backups.length > 0) {
+				const backup = job.backups.shift();
+				job.redirectedFrom = job.redirectedFrom || {
+					id: job.printer.id,
+					name: job.printer.name,
+				};
+				touchJob(
+					job,
+					JOB_STATES.QUEUED,
+					`Failing over from '${job.printer.name}' to '${backup.name}': ${
+						sendError.message
+					}${
+						sendError.retryable ? "" : " (part of the ticket may have printed)"
+					}`
+				);
+				return backup;
+			}
+			if (!sendError.retryable) {
+				job.error = `${sendError.message} (not retried: part of the ticket may have printed; reprint it if needed)`;
+				break;
+			}
+			if (printerAttempts < job.maxAttempts) {
+				touchJob(job, JOB_STATES.QUEUED, `Retrying: ${sendError.message}`);
+				await new Promise((r) =>
+					setTimeout(r, RETRY_DELAY_MS * printerAttempts)
+				);
+			}
+		}
+	}
+	job.finishedAt = new Date().toISOString();
+	touchJob(job, JOB_STATES.FAILED, job.error);
+	return null;
+}
+
+// Resolves true once the job is done or failed, false if it is still running after timeoutMs
+export function waitForPrintJob(job, timeoutMs) {
+	const isFinished = () =>
+		job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED;
+	if (isFinished()) return Promise.resolve(true);
+	return new Promise((resolve) => {
+		const finish = (finished) => {
+			clearTimeout(timer);
+			unsubscribe();
+			resolve(finished);
+		};
+		const timer = setTimeout(() => finish(false), timeoutMs);
+		const unsubscribe = subscribeEvents((event) => {
+			if (
+				event.type === "job.updated" &&
+				event.jobId === job.id &&
+				isFinished()
+			)
+				finish(true);
+		});
+	});
+}
+
+// Shape returned by the REST API (omits template data and the printer config internals).
+// Also takes job history records (job-history.js), which keep the same fields.
+export function toPublicJob(job) {
+	return {
+		id: job.id,
+		state: job.state,
+		orderNumber: jobOrderNumber(job.templateData),
+		printerId: job.printer.id,
+		printerName: job.printer.name,
+		connectionType: job.printer.connectionType,
+		templateType: job.templateType,
+		attempts: job.attempts,
+		maxAttempts: job.maxAttempts,
+		createdAt: job.createdAt,
+		updatedAt: job.updatedAt,
+		startedAt: job.startedAt,
+		finishedAt: job.finishedAt,
+		message: job.message,
+		error: job.error,
+		...(job.pdfFile ? { pdfFile: job.pdfFile } : {}),
+		...(job.reprintOf ? { reprintOf: job.reprintOf } : {}),
+		...(job.redirectedFrom ? { redirectedFrom: job.redirectedFrom } : {}),
+		// Copy numbers and captions only: the copies go out in one transfer, so the job's
+		// state is the state of every copy
+		...(job.copies ? { copies: job.copies } : {}),
+		history: job.history,
+	};
+}
+
+// GET /api/jobs/:id?details=true: the public job plus what was sent and printed
+export function toJobDetails(job) {
+	return {
+		...toPublicJob(job),
+		templateData: job.templateData,
+		printerOptions: job.requestOptions || {},
+		commands: job.printDataArray || null,
+	};
+}
@@ -0,0 +1,262 @@
+// src/print-transports.js
+import { BrowserWindow } from "electron"; // For virtual printing
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { exec } from "child_process"; // For OS command line printing
+
+import { loadSandboxedHtml, sandboxedWebPreferences } from "./html-sandbox.js";
+
+// For direct TCP printing
+import { sendBufferOverTcp } from "./tcp-transport.js";
+
+// For direct RAW USB communication
+import usb from "usb"; // Assumes 'npm i usb' and electron-rebuild has worked
+
+const VIRTUAL_LOAD_TIMEOUT_MS = 15000;
+
+// Every sender resolves with a human readable message on success and throws on failure,
+// so the job queue can record the result. Errors get retryable: true only when nothing
+// can have reached the printer (connect/open phase); the queue retries only those.
+function sendError(message, retryable) {
+	const error = new Error(message);
+	error.retryable = retryable;
+	return error;
+}
+
+export async function sendToVirtualPrinter(
+	config,
+	htmlContent,
+	printerOptions
+) {
+	console.log(`API Print VIRTUAL: Handling '${config.name}'`);
+	let vpWin = null;
+	try {
+		vpWin = new BrowserWindow({
+			show: false,
+			webPreferences: sandboxedWebPreferences(),
+		});
+		await loadSandboxedHtml(vpWin, htmlContent, VIRTUAL_LOAD_TIMEOUT_MS).catch(
+			(loadError) => {
+				console.error("VP window load fail:", loadError.message);
+				throw sendError(
+					`Virtual print page load fail: ${loadError.message}`,
+					true
+				);
+			}
+		);
+
+		await new Promise((resolve, reject) => {
+			vpWin.webContents.print(
+				{
+					silent:
+						printerOptions.silent !== undefined ? printerOptions.silent : true,
+					deviceName: config.name,
+					printBackground: true,
+					color: false,
+					margins: printerOptions.margins || { marginType: "printableArea" },
+				},
+				(success, reason) => {
+					if (success) resolve();
+					else reject(new Error(`Virtual print fail: ${reason}`));
+				}
+			);
+		});
+		return `Sent to virtual printer ${config.name}`;
+	} finally {
+		if (vpWin && !vpWin.isDestroyed()) vpWin.close();
+	}
+}
+
+export async function sendToRawUsbPrinter(config, rawBuffer) {
+	const logPrefix = `API_PRINT_RAW_USB [${config.name}]:`;
+	console.log(`${logPrefix} Handling job.`);
+	if (!config.vid || !config.pid)
+		throw new Error("RAW_USB config missing VID/PID.");
+
+	let usbDeviceInstance = null; // From 'usb' package
+	let transferStarted = false;
+	try {
+		usbDeviceInstance = usb.findByIds(config.vid, config.pid);
+		if (!usbDeviceInstance)
+			throw new Error(
+				`Device VID:0x${config.vid.toString(16)} PID:0x${config.pid.toString(
+					16
+				)} not found. Disconnected?`
+			);
+
+		// Promisified open ensures device.open() completes or fails clearly
+		await new Promise((resolve, reject) => {
+			try {
+				usbDeviceInstance.open();
+				setTimeout(resolve, 50);
+			} catch (e) {
+				// open is sync
+				reject(e);
+			}
+		});
+		console.log(`${logPrefix} USB Device opened.`);
+
+		let outEndpoint = null;
+		if (!usbDeviceInstance.interfaces) {
+			console.log(
+				`${logPrefix} No interfaces found initially, attempting device reset...`
+			);
+			await new Promise((resolveReset, rejectReset) => {
+				usbDeviceInstance.reset((error) =>
+					error ? rejectReset(error) : setTimeout(resolveReset, 250)
+				);
+			});
+			console.log(`${logPrefix} Device reset complete. Re-finding device...`);
+			usbDeviceInstance = usb.findByIds(config.vid, config.pid); // Re-fetch device
+			if (!usbDeviceInstance || !usbDeviceInstance.interfaces)
+				throw new Error("Failed to get interfaces even after reset.");
+		}
+
+		for (const iface of usbDeviceInstance.interfaces) {
+			try {
+				if (iface.isKernelDriverActive()) {
+					console.log(
+						`${logPrefix} Detaching kernel driver for interface ${iface.interfaceNumber}...`
+					);
+					await new Promise((resolveDetach) => {
+						iface.detachKernelDriver();
+						setTimeout(resolveDetach, 100);
+					});
+				}
+				await new Promise((resolveClaim) => {
+					iface.claim();
+					setTimeout(resolveClaim, 50);
+				});
+				console.log(`${logPrefix} Claimed interface ${iface.interfaceNumber}.`);
+				for (const endpoint of iface.endpoints)
+					if (endpoint.direction === "out") {
+						outEndpoint = endpoint;
+						break;
+					}
+				if (outEndpoint) break;
+				else iface.release(true, () => {}); // Auto-re-attach kernel if needed
+			} catch (claimErr) {
+				console.warn(
+					`${logPrefix} Could not claim IF ${iface.interfaceNumber}: ${claimErr.message}. Trying next.`
+				);
+			}
+		}
+		if (!outEndpoint)
+			throw new Error(
+				"No suitable OUT endpoint found. Ensure Zadig/WinUSB for Windows or correct libusb permissions."
+			);
+		console.log(
+			`${logPrefix} Using OUT endpoint: ${outEndpoint.address}. Transferring ${rawBuffer.length} bytes...`
+		);
+
+		transferStarted = true;
+		await new Promise((resolveTransfer, rejectTransfer) => {
+			outEndpoint.transfer(rawBuffer, (error) => {
+				if (error)
+					rejectTransfer(
+						new Error(`USB Transfer Error: ${error.message || error}`)
+					);
+				else resolveTransfer();
+			});
+		});
+		console.log(`${logPrefix} USB data transfer complete.`);
+
+		const ifaceToRelease = usbDeviceInstance.interfaces?.find(
+			(i) => i.interfaceNumber === outEndpoint.interfaceNumber
+		);
+		if (ifaceToRelease?.claimed)
+			await new Promise((r) => ifaceToRelease.release(true, r)); // Release and re-attach kernel
+
+		return `Job sent to RAW_USB printer '${config.name}'.`;
+	} catch (rawError) {
+		console.error(`${logPrefix} Error: ${rawError.message}`, rawError.stack);
+		throw sendError(
+			`RAW_USB print failed for '${config.name}': ${rawError.message}`,
+			!transferStarted
+		);
+	} finally {
+		if (usbDeviceInstance && usbDeviceInstance.opened) {
+			try {
+				usbDeviceInstance.close();
+				console.log(`${logPrefix} USB Device closed in finally.`);
+			} catch (e) {
+				console.error(`${logPrefix} USB Device close error in finally:`, e);
+			}
+		}
+	}
+}
+
+export async function sendToLanPrinter(config, rawBuffer, printerOptions) {
+	const logPrefix = `API_PRINT_MDNS_LAN [${config.name}]:`;
+	console.log(`${logPrefix} Handling printer.`);
+	if (!config.ip || !config.port)
+		throw new Error("MDNS_LAN config missing IP/Port.");
+
+	try {
+		const { bytesSent } = await sendBufferOverTcp(
+			config.ip,
+			config.port,
+			rawBuffer,
+			{
+				connectTimeout: printerOptions?.timeout,
+				writeTimeout: printerOptions?.writeTimeout,
+			}
+		);
+		console.log(`${logPrefix} Job sent successfully via TCP.`);
+		return `Job sent to MDNS_LAN printer '${config.name}' (${bytesSent} bytes).`;
+	} catch (mdnsError) {
+		console.error(`${logPrefix} Error: ${mdnsError.message}`);
+		throw sendError(
+			`MDNS_LAN print failed: ${mdnsError.message}`,
+			!!mdnsError.retryable
+		);
+	}
+}
+
+// OS_USB, OS_LAN, OS_LOCAL
+export async function sendToOsPrinter(config, rawBufferOs) {
+	const logPrefix = `API_PRINT_OS_CMD [${config.name}]:`;
+	console.log(`${logPrefix} Handling OS-queued printer.`);
+	if (!config.osName) throw new Error("OS Printer config missing osName.");
+
+	const tempFilePathOs = path.join(os.tmpdir(), `os_cmd_job_${Date.now()}.bin`);
+	await fs.writeFile(tempFilePathOs, rawBufferOs);
+	console.log(
+		`${logPrefix} Raw buffer (${rawBufferOs.length} bytes) for '${config.osName}' written to ${tempFilePathOs}`
+	);
+
+	let command;
+	const quotedOsName = `"${config.osName}"`;
+	if (os.platform() === "win32") {
+		const escPsName = quotedOsName.replace(/"/g, '`"');
+		command = `powershell -NoProfile -NonInteractive -Command "Get-Content -Path '${tempFilePathOs}' -Encoding Byte -Raw | Out-Printer -Name ${escPsName}"`;
+	} else {
+		command = `lp -d ${quotedOsName} -o raw "${tempFilePathOs}"`;
+	}
+	console.log(`${logPrefix} Executing: ${command}`);
+
+	return new Promise((resolve, reject) => {
+		exec(command, { timeout: 15000 }, async (error, stdout, stderr) => {
+			// Use callback for exec
+			await fs
+				.unlink(tempFilePathOs)
+				.catch((e) => console.warn("Temp OS file unlink error:", e.message));
+			if (error) {
+				console.error(
+					`${logPrefix} OS Command FAIL: ${error.message}`,
+					`STDOUT: ${stdout}`,
+					`STDERR: ${stderr}`
+				);
+				reject(
+					new Error(`OS print command failed: ${stderr || error.message}`)
+				);
+			} else {
+				console.log(
+					`${logPrefix} OS Command SUCCESS. Job sent to queue for '${config.osName}'.`
+				);
+				resolve(`Job sent to OS printer '${config.name}'.`);
+			}
+		});
+	});
+}
@@ -0,0 +1,141 @@
+// src/printer-registry.js
+import { randomUUID } from "crypto";
+import { PrinterTypes, CharacterSet } from "node-thermal-printer";
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+
+// Printers the user configured by hand (fixed-IP LAN printers that never answer
+// mDNS, USB printers with unusual VIDs). They are merged into every discovery cycle.
+const REGISTRY_FILE = "printers.json";
+const MANUAL_CONNECTION_TYPES = ["MDNS_LAN", "RAW_USB"]; // MDNS_LAN = raw TCP (port 9100 style)
+
+let manualPrinters = [];
+
+function validationError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+// Accepts a number (1208) or a hex string ("0x04b8" / "04b8") as USB tools print them
+function parseUsbId(value, fieldName) {
+	if (value === undefined || value === null || value === "") return undefined;
+	const parsed =
+		typeof value === "number"
+			? value
+			: /^(0x)?[0-9a-f]{1,4}$/i.test(String(value).trim())
+			? parseInt(String(value).trim().replace(/^0x/i, ""), 16)
+			: NaN;
+	if (!Number.isInteger(parsed) || parsed < 0 || parsed > 0xffff)
+		throw validationError(`Invalid '${fieldName}': ${value}`);
+	return parsed;
+}
+
+function normalizeManualPrinter(input, existing = {}) {
+	const merged = { ...existing, ...input };
+	const name = String(merged.name || "").trim();
+	if (!name) throw validationError("Missing 'name'.");
+
+	const connectionType = String(merged.connectionType || "").toUpperCase();
+	if (!MANUAL_CONNECTION_TYPES.includes(connectionType))
+		throw validationError(
+			`'connectionType' must be one of ${MANUAL_CONNECTION_TYPES.join(", ")}.`
+		);
+
+	const printer = {
+		id: existing.id || `manual-${randomUUID().slice(0, 8)}`,
+		name,
+		connectionType,
+		description: merged.description || "Manually configured printer",
+	};
+
+	if (connectionType === "MDNS_LAN") {
+		if (!merged.ip) throw validationError("Missing 'ip' for MDNS_LAN printer.");
+		const port = parseInt(merged.port ?? 9100, 10);
+		if (!Number.isInteger(port) || port < 1 || port > 65535)
+			throw validationError(`Invalid 'port': ${merged.port}`);
+		printer.ip = String(merged.ip).trim();
+		printer.port = port;
+	} else {
+		printer.vid = parseUsbId(merged.vid, "vid");
+		printer.pid = parseUsbId(merged.pid, "pid");
+		if (printer.vid === undefined || printer.pid === undefined)
+			throw validationError("Missing 'vid'/'pid' for RAW_USB printer.");
+	}
+
+	if (merged.driverType) {
+		const driverType = String(merged.driverType).toUpperCase();
+		if (!PrinterTypes[driverType])
+			throw validationError(
+				`Invalid 'driverType'. Use one of ${Object.keys(PrinterTypes).join(
+					", "
+				)}.`
+			);
+		printer.driverType = driverType;
+	}
+	if (merged.characterSet) {
+		const characterSet = String(merged.characterSet).toUpperCase();
+		if (!CharacterSet[characterSet])
+			throw validationError(`Invalid 'characterSet': ${merged.characterSet}`);
+		printer.characterSet = characterSet;
+	}
+	return printer;
+}
+
+export async function loadPrinterRegistry() {
+	const stored = await readJsonConfig(REGISTRY_FILE, []);
+	manualPrinters = Array.isArray(stored) ? stored : [];
+	console.log(
+		`REGISTRY: Loaded ${manualPrinters.length} manually configured printer(s).`
+	);
+	return listManualPrinters();
+}
+
+// Entries in the same shape discovery produces, ready to merge into discoveredPrinters
+export function listManualPrinters() {
+	return manualPrinters.map((p) => ({
+		...p,
+		isManual: true,
+		isVirtual: false,
+		status: "Configured (Manual)",
+	}));
+}
+
+export function getManualPrinter(id) {
+	return listManualPrinters().find((p) => p.id === id) || null;
+}
+
+export async function addManualPrinter(input) {
+	const printer = normalizeManualPrinter(input);
+	if (
+		manualPrinters.some(
+			(p) => p.name.toLowerCase() === printer.name.toLowerCase()
+		)
+	)
+		throw validationError(`A printer named '${printer.name}' already exists.`);
+	manualPrinters.push(printer);
+	await writeJsonConfig(REGISTRY_FILE, manualPrinters);
+	return getManualPrinter(printer.id);
+}
+
+export async function updateManualPrinter(id, input) {
+	const index = manualPrinters.findIndex((p) => p.id === id);
+	if (index === -1) return null;
+	const printer = normalizeManualPrinter(input, manualPrinters[index]);
+	if (
+		manualPrinters.some(
+			(p) => p.id !== id && p.name.toLowerCase() === printer.name.toLowerCase()
+		)
+	)
+		throw validationError(`A printer named '${printer.name}' already exists.`);
+	manualPrinters[index] = printer;
+	await writeJsonConfig(REGISTRY_FILE, manualPrinters);
+	return getManualPrinter(id);
+}
+
+export async function removeManualPrinter(id) {
+	const before = manualPrinters.length;
+	manualPrinters = manualPrinters.filter((p) => p.id !== id);
+	if (manualPrinters.length === before) return false;
+	await writeJsonConfig(REGISTRY_FILE, manualPrinters);
+	return true;
+}
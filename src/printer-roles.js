@@ -0,0 +1,102 @@
+// src/printer-roles.js
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+import { normalizeBackups } from "./printer-settings.js";
+
+// Logical roles ("kitchen", "bar", "receipt") mapped to physical printers, so the
+// POS never has to know OS driver names or mDNS "name @ ip:port" strings.
+// Stored as { [role]: { printers: [printer id or name, ...], backups, description } }, where
+// backups are printers a failed job for the role moves on to, in order.
+const ROLES_FILE = "roles.json";
+
+let roles = {};
+
+function normalizeRoleName(role) {
+	return String(role || "")
+		.trim()
+		.toLowerCase();
+}
+
+export async function loadPrinterRoles() {
+	const stored = await readJsonConfig(ROLES_FILE, {});
+	roles =
+		stored && typeof stored === "object" && !Array.isArray(stored)
+			? stored
+			: {};
+	console.log(`ROLES: Loaded ${Object.keys(roles).length} printer role(s).`);
+	return roles;
+}
+
+export function getPrinterRole(role) {
+	return roles[normalizeRoleName(role)] || null;
+}
+
+export function listPrinterRoles() {
+	return Object.entries(roles).map(([name, role]) => ({ name, ...role }));
+}
+
+export async function setPrinterRole(
+	role,
+	{ printers, backups, description } = {}
+) {
+	const name = normalizeRoleName(role);
+	if (!/^[a-z0-9_-]+$/.test(name)) {
+		const error = new Error(
+			"Role names may only contain letters, digits, '-' and '_'."
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+	if (
+		!Array.isArray(printers) ||
+		printers.length === 0 ||
+		printers.some((ref) => typeof ref !== "string" || !ref.trim())
+	) {
+		const error = new Error(
+			"'printers' must be a non-empty array of printer ids or names."
+		);
+		error.statusCode = 400;
+		throw error;
+	}
+	const backupRefs = backups ? normalizeBackups(backups) : [];
+	roles[name] = {
+		printers: printers.map((ref) => ref.trim()),
+		...(backupRefs.length > 0 ? { backups: backupRefs } : {}),
+		...(description ? { description: String(description) } : {}),
+	};
+	await writeJsonConfig(ROLES_FILE, roles);
+	return { name, ...roles[name] };
+}
+
+export async function removePrinterRole(role) {
+	const name = normalizeRoleName(role);
+	if (!roles[name]) return false;
+	delete roles[name];
+	await writeJsonConfig(ROLES_FILE, roles);
+	return true;
+}
+
+// Matches a role member (or a request's printerName) against the live printer list,
+// by id first, then case-insensitive name.
+export function findPrinter(printers, ref) {
+	if (!ref) return null;
+	const refLower = String(ref).toLowerCase();
+	return (
+		printers.find((p) => p.id === ref) ||
+		printers.find((p) => p.name.toLowerCase() === refLower) ||
+		null
+	);
+}
+
+// Returns { printers: [configs found], missing: [refs not currently available] }
+export function resolvePrinterRole(role, printers) {
+	const definition = getPrinterRole(role);
+	if (!definition) return null;
+	const resolved = [];
+	const missing = [];
+	for (const ref of definition.printers) {
+		const config = findPrinter(printers, ref);
+		if (!config) missing.push(ref);
+		else if (!resolved.some((p) => p.id === config.id)) resolved.push(config);
+	}
+	return { printers: resolved, missing };
+}
@@ -0,0 +1,155 @@
+// src/printer-settings.js
+import { PrinterTypes, CharacterSet } from "node-thermal-printer";
+import { readJsonConfig, writeJsonConfig } from "./config-store.js";
+import { resolvePaperProfile } from "./paper-profiles.js";
+import { VIRTUAL_OUTPUT_MODES } from "./pdf-archive.js";
+
+// Per-printer settings kept by printer id, for discovered and manual printers alike.
+// Stored as { [printerId]: { paper, backups, driverType, characterSet, autoCut, beep,
+// density, timeout, initialAlign, output } }; see DRIVER_SETTINGS for what each driver
+// field accepts. backups lists the printers (ids or names) a failed job moves on to.
+// They are defaults: a request's own printerOptions still win (see getPrinterOptions).
+const SETTINGS_FILE = "printer-settings.json";
+
+let settings = {};
+
+function settingError(message) {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+}
+
+const upperCaseEnum = (values, label) => (value) => {
+	const key = String(value).trim().toUpperCase();
+	if (!values[key])
+		throw settingError(
+			`Invalid '${label}'. Use one of ${Object.keys(values).join(", ")}.`
+		);
+	return key;
+};
+
+const boolean = (label) => (value) => {
+	if (typeof value !== "boolean")
+		throw settingError(`'${label}' must be true or false.`);
+	return value;
+};
+
+const integerInRange = (label, min, max) => (value) => {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < min || number > max)
+		throw settingError(`'${label}' must be an integer from ${min} to ${max}.`);
+	return number;
+};
+
+// Setting -> normalizer (throws a 400 error on bad input). Keys match printerOptions,
+// except driverType, which becomes printerOptions.type.
+const DRIVER_SETTINGS = {
+	driverType: upperCaseEnum(PrinterTypes, "driverType"),
+	characterSet: upperCaseEnum(CharacterSet, "characterSet"),
+	autoCut: boolean("autoCut"), // false: no cut at the end, template cuts are dropped
+	beep: boolean("beep"), // Buzzer once the ticket is printed (kitchen printers)
+	density: integerInRange("density", -3, 3), // 0 = printer default; EPSON and STAR only
+	timeout: integerInRange("timeout", 500, 60000), // LAN connect timeout, ms
+	initialAlign: (value) => {
+		const align = String(value).trim().toUpperCase();
+		if (!["LT", "CT", "RT"].includes(align))
+			throw settingError("'initialAlign' must be LT, CT or RT.");
+		return align;
+	},
+	// VIRTUAL printers: "print", "pdf" (archive only) or "both" (see pdf-archive.js)
+	output: (value) => {
+		const output = String(value).trim().toLowerCase();
+		if (!VIRTUAL_OUTPUT_MODES.includes(output))
+			throw settingError(
+				`'output' must be one of ${VIRTUAL_OUTPUT_MODES.join(", ")}.`
+			);
+		return output;
+	},
+};
+
+export const DRIVER_SETTING_KEYS = Object.keys(DRIVER_SETTINGS);
+
+// Printer ids or names, in the order a failed job tries them
+export function normalizeBackups(backups, ownId = null) {
+	if (
+		!Array.isArray(backups) ||
+		backups.some((ref) => typeof ref !== "string" || !ref.trim())
+	)
+		throw settingError("'backups' must be an array of printer ids or names.");
+	const refs = [...new Set(backups.map((ref) => ref.trim()))];
+	if (ownId && refs.includes(ownId))
+		throw settingError("A printer cannot be its own backup.");
+	return refs;
+}
+
+export async function loadPrinterSettings() {
+	const stored = await readJsonConfig(SETTINGS_FILE, {});
+	settings =
+		stored && typeof stored === "object" && !Array.isArray(stored)
+			? stored
+			: {};
+	console.log(
+		`PRINTER_SETTINGS: Loaded settings for ${
+			Object.keys(settings).length
+		} printer(s).`
+	);
+	return settings;
+}
+
+export function getPrinterSettings(printerId) {
+	return settings[printerId] || {};
+}
+
+// Merges into the stored settings; a null value removes that setting
+export async function setPrinterSettings(printerId, input = {}) {
+	const next = { ...getPrinterSettings(printerId) };
+	if (input.paper !== undefined) {
+		if (input.paper === null) delete next.paper;
+		else {
+			resolvePaperProfile(input.paper); // Throws a 400 error when invalid
+			next.paper = input.paper;
+		}
+	}
+	if (input.backups !== undefined) {
+		if (input.backups === null || input.backups.length === 0)
+			delete next.backups;
+		else next.backups = normalizeBackups(input.backups, printerId);
+	}
+	for (const [key, normalize] of Object.entries(DRIVER_SETTINGS)) {
+		if (input[key] === undefined) continue;
+		if (input[key] === null || input[key] === "") delete next[key];
+		else next[key] = normalize(input[key]);
+	}
+	if (Object.keys(next).length === 0) delete settings[printerId];
+	else settings[printerId] = next;
+	await writeJsonConfig(SETTINGS_FILE, settings);
+	return next;
+}
+
+export async function removePrinterSettings(printerId) {
+	if (!settings[printerId]) return false;
+	delete settings[printerId];
+	await writeJsonConfig(SETTINGS_FILE, settings);
+	return true;
+}
+
+export function getPrinterBackups(printerId) {
+	return getPrinterSettings(printerId).backups || [];
+}
+
+// The profile a job for this printer lays out against; a request's own `paper` wins
+export function getPrinterPaper(printerId, override) {
+	return resolvePaperProfile(
+		override !== undefined ? override : getPrinterSettings(printerId).paper
+	);
+}
+
+// Stored driver settings in printerOptions form, to spread under a request's printerOptions
+export function getPrinterOptions(printerId) {
+	const stored = getPrinterSettings(printerId);
+	const options = {};
+	for (const key of DRIVER_SETTING_KEYS)
+		if (stored[key] !== undefined)
+			options[key === "driverType" ? "type" : key] = stored[key];
+	return options;
+}
@@ -0,0 +1,237 @@
+// src/printer-status.js
+import net from "net";
+import usb from "usb";
+
+// ESC/POS real-time status (DLE EOT n). The printer answers each query with one byte even
+// while offline, so this tells "out of paper" apart from "unreachable":
+//   n=1 printer status, n=2 offline cause, n=3 error cause, n=4 paper roll sensor.
+// Only raw transports can ask: OS spooler printers and virtual printers have no status.
+const STATUS_QUERIES = [
+	["printer", 1],
+	["offline", 2],
+	["error", 3],
+	["paper", 4],
+];
+const STATUS_QUERY_TIMEOUT_MS = 1500;
+
+export const HARDWARE_STATUS_LABELS = {
+	offline: "Offline",
+	paperOut: "Paper Out",
+	paperNearEnd: "Paper Low",
+	coverOpen: "Cover Open",
+	cutterError: "Cutter Error",
+	unrecoverableError: "Printer Error",
+	autoRecoverableError: "Recoverable Error",
+	drawerOpen: "Drawer Open",
+};
+
+const isSet = (byte, mask) => (byte & mask) !== 0;
+
+// Every DLE EOT response has bits 1 and 4 set and bits 0 and 7 clear
+function checkStatusByte(name, byte) {
+	if (byte === undefined || (byte & 0x93) !== 0x12)
+		throw new Error(
+			`Unexpected ${name} status byte ${
+				byte === undefined ? "(none)" : `0x${byte.toString(16)}`
+			}; printer may not support DLE EOT.`
+		);
+	return byte;
+}
+
+export function decodeStatusBytes({ printer, offline, error, paper }) {
+	checkStatusByte("printer", printer);
+	checkStatusByte("offline", offline);
+	checkStatusByte("error", error);
+	checkStatusByte("paper", paper);
+	return {
+		offline: isSet(printer, 0x08),
+		// Drawer kick connector pin 3; most drawers pull it HIGH when open
+		drawerOpen: isSet(printer, 0x04),
+		coverOpen: isSet(offline, 0x04),
+		paperOut: isSet(offline, 0x20) || isSet(paper, 0x60),
+		paperNearEnd: isSet(paper, 0x0c),
+		cutterError: isSet(error, 0x08),
+		unrecoverableError: isSet(error, 0x20),
+		autoRecoverableError: isSet(error, 0x40),
+	};
+}
+
+// Sends the four queries one at a time; `readByte` resolves with the next response byte
+async function runStatusQueries(write, readByte) {
+	const bytes = {};
+	for (const [name, n] of STATUS_QUERIES) {
+		await write(Buffer.from([0x10, 0x04, n]));
+		bytes[name] = await readByte(name);
+	}
+	return bytes;
+}
+
+function queryTcpStatusBytes(host, port, timeout) {
+	return new Promise((resolve, reject) => {
+		const socket = net.createConnection({ host, port });
+		let received = Buffer.alloc(0);
+		let pendingRead = null;
+		const finish = (error, result) => {
+			clearTimeout(pendingRead?.timer);
+			socket.destroy();
+			if (error) reject(error);
+			else resolve(result);
+		};
+		const deliver = () => {
+			if (!pendingRead || received.length === 0) return;
+			const { resolveByte, timer } = pendingRead;
+			clearTimeout(timer);
+			pendingRead = null;
+			const byte = received[0];
+			received = received.subarray(1);
+			resolveByte(byte);
+		};
+		const readByte = (name) =>
+			new Promise((resolveByte, rejectByte) => {
+				pendingRead = {
+					resolveByte,
+					timer: setTimeout(
+						() =>
+							rejectByte(
+								new Error(
+									`No response to ${name} status query within ${timeout}ms.`
+								)
+							),
+						timeout
+					),
+				};
+				deliver();
+			});
+		const write = (buffer) =>
+			new Promise((resolveWrite, rejectWrite) =>
+				socket.write(buffer, (writeError) =>
+					writeError ? rejectWrite(writeError) : resolveWrite()
+				)
+			);
+
+		const connectTimer = setTimeout(
+			() => finish(new Error(`Connect timeout after ${timeout}ms.`)),
+			timeout
+		);
+		socket.on("data", (chunk) => {
+			received = Buffer.concat([received, chunk]);
+			deliver();
+		});
+		socket.on("error", (socketError) => {
+			clearTimeout(connectTimer);
+			finish(socketError);
+		});
+		socket.on("connect", () => {
+			clearTimeout(connectTimer);
+			runStatusQueries(write, readByte).then(
+				(bytes) => finish(null, bytes),
+				(queryError) => finish(queryError)
+			);
+		});
+	});
+}
+
+async function queryUsbStatusBytes(vid, pid, timeout) {
+	const device = usb.findByIds(vid, pid);
+	if (!device)
+		throw new Error(
+			`Device VID:0x${vid.toString(16)} PID:0x${pid.toString(16)} not found.`
+		);
+	let claimedInterface = null;
+	try {
+		device.open();
+		let inEndpoint = null;
+		let outEndpoint = null;
+		for (const iface of device.interfaces || []) {
+			const inEp = iface.endpoints.find((ep) => ep.direction === "in");
+			const outEp = iface.endpoints.find((ep) => ep.direction === "out");
+			if (!inEp || !outEp) continue;
+			if (iface.isKernelDriverActive()) iface.detachKernelDriver();
+			iface.claim();
+			claimedInterface = iface;
+			inEndpoint = inEp;
+			outEndpoint = outEp;
+			break;
+		}
+		if (!inEndpoint)
+			throw new Error("No interface with both IN and OUT endpoints.");
+		inEndpoint.timeout = timeout;
+		outEndpoint.timeout = timeout;
+
+		const write = (buffer) =>
+			new Promise((resolveWrite, rejectWrite) =>
+				outEndpoint.transfer(buffer, (transferError) =>
+					transferError ? rejectWrite(transferError) : resolveWrite()
+				)
+			);
+		const readByte = (name) =>
+			new Promise((resolveByte, rejectByte) =>
+				inEndpoint.transfer(
+					inEndpoint.descriptor.wMaxPacketSize || 64,
+					(transferError, data) => {
+						if (transferError)
+							rejectByte(
+								new Error(
+									`No response to ${name} status query: ${transferError.message}`
+								)
+							);
+						else resolveByte(data?.[data.length - 1]); // Latest byte wins if the printer repeats
+					}
+				)
+			);
+		return await runStatusQueries(write, readByte);
+	} finally {
+		if (claimedInterface)
+			await new Promise((resolveRelease) =>
+				claimedInterface.release(true, () => resolveRelease())
+			);
+		try {
+			device.close();
+		} catch (closeError) {
+			// Already closed
+		}
+	}
+}
+
+// Returns the decoded flags plus checkedAt, { error, checkedAt } when the printer did not
+// answer, or null for connection types that cannot be queried.
+export async function queryPrinterHardwareStatus(
+	config,
+	{ timeout = STATUS_QUERY_TIMEOUT_MS } = {}
+) {
+	let statusBytes;
+	try {
+		if (config.connectionType === "MDNS_LAN" && config.ip && config.port)
+			statusBytes = await queryTcpStatusBytes(
+				config.ip,
+				parseInt(config.port, 10),
+				timeout
+			);
+		else if (config.connectionType === "RAW_USB" && config.vid && config.pid)
+			statusBytes = await queryUsbStatusBytes(config.vid, config.pid, timeout);
+		else return null;
+		return {
+			...decodeStatusBytes(statusBytes),
+			checkedAt: new Date().toISOString(),
+		};
+	} catch (statusError) {
+		return { error: statusError.message, checkedAt: new Date().toISOString() };
+	}
+}
+
+// "Paper Out, Cover Open", "OK", or null when there is nothing to report
+export function describeHardwareStatus(hardwareStatus) {
+	if (!hardwareStatus) return null;
+	if (hardwareStatus.error) return "Status Unavailable";
+	const problems = Object.keys(HARDWARE_STATUS_LABELS)
+		.filter((flag) => hardwareStatus[flag])
+		.map((flag) => HARDWARE_STATUS_LABELS[flag]);
+	return problems.length > 0 ? problems.join(", ") : "OK";
+}
+
+// Two results differ if any flag or the error changed (checkedAt is ignored)
+export function hardwareStatusChanged(previous, next) {
+	const strip = (status) =>
+		status ? JSON.stringify({ ...status, checkedAt: undefined }) : null;
+	return strip(previous) !== strip(next);
+}
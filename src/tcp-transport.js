@@ -0,0 +1,108 @@
+// src/tcp-transport.js
+import net from "net";
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_WRITE_TIMEOUT_MS = 10000; // Max idle time while the printer drains its buffer
+const DEFAULT_CLOSE_GRACE_MS = 1000; // Time the printer gets to close its side before we drop it
+const WRITE_CHUNK_SIZE = 4096; // Small printers have small receive buffers; don't flood them
+
+// Sends a raw ESC/POS buffer to a raw TCP (JetDirect / port 9100) printer.
+// Resolves with { bytesSent } once every byte was handed to the socket and our side is
+// shut down ('finish'). Many printers never close their side after our FIN, so the socket
+// is destroyed after a short grace period instead of waiting for 'close'.
+// Rejects on connect timeout, write stall or socket error. Errors carry bytesSent and
+// retryable: true only when they happened before the connection was up (nothing sent).
+export function sendBufferOverTcp(host, port, buffer, options = {}) {
+	const connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT_MS;
+	const writeTimeout = options.writeTimeout || DEFAULT_WRITE_TIMEOUT_MS;
+	const closeGrace = options.closeGrace ?? DEFAULT_CLOSE_GRACE_MS;
+	const logPrefix = `TCP_TRANSPORT [${host}:${port}]:`;
+
+	return new Promise((resolve, reject) => {
+		let settled = false;
+		let bytesSent = 0;
+		let connected = false;
+		let stopDrainWait = null; // Set while the write loop waits for 'drain'
+		const socket = new net.Socket();
+
+		const fail = (error) => {
+			if (settled) return;
+			settled = true;
+			clearTimeout(connectTimer);
+			stopDrainWait?.(); // A destroyed socket never drains; let the write loop end
+			socket.destroy();
+			error.bytesSent = bytesSent;
+			error.retryable = !connected;
+			reject(error);
+		};
+
+		const connectTimer = setTimeout(
+			() =>
+				fail(
+					new Error(
+						`Connect timeout after ${connectTimeout}ms to ${host}:${port}`
+					)
+				),
+			connectTimeout
+		);
+
+		socket.on("error", (error) =>
+			fail(new Error(`Socket error (${error.code || "?"}): ${error.message}`))
+		);
+		socket.on("timeout", () =>
+			fail(
+				new Error(
+					`Write timeout after ${writeTimeout}ms with ${bytesSent}/${buffer.length} bytes sent`
+				)
+			)
+		);
+		socket.on("close", () => {
+			if (settled) return;
+			fail(
+				new Error(
+					`Connection closed by printer after ${bytesSent}/${buffer.length} bytes`
+				)
+			);
+		});
+		socket.on("finish", () => {
+			if (settled) return;
+			settled = true;
+			socket.setTimeout(0);
+			setTimeout(() => socket.destroy(), closeGrace).unref();
+			console.log(`${logPrefix} Sent ${bytesSent} bytes.`);
+			resolve({ bytesSent });
+		});
+
+		socket.connect({ host, port: parseInt(port, 10) }, async () => {
+			clearTimeout(connectTimer);
+			connected = true;
+			socket.setNoDelay(true);
+			socket.setTimeout(writeTimeout); // Idle timeout: resets on every successful write
+			try {
+				for (
+					let offset = 0;
+					offset < buffer.length && !settled;
+					offset += WRITE_CHUNK_SIZE
+				) {
+					const chunk = buffer.subarray(offset, offset + WRITE_CHUNK_SIZE);
+					// write() returning false means the kernel buffer is full (partial write);
+					// wait for 'drain' before queueing more so a stalled printer trips the timeout.
+					const flushed = socket.write(chunk, (error) => {
+						if (!error) bytesSent += chunk.length;
+					});
+					if (!flushed) {
+						await new Promise((resolveDrain) => {
+							stopDrainWait = resolveDrain;
+							socket.once("drain", resolveDrain);
+						});
+						socket.off("drain", stopDrainWait);
+						stopDrainWait = null;
+					}
+				}
+				if (!settled) socket.end(); // 'finish' resolves once every byte is flushed
+			} catch (writeError) {
+				fail(writeError);
+			}
+		});
+	});
+}
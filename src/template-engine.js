@@ -0,0 +1,294 @@
+// src/template-engine.js
+import { escapeHtml } from "./html-text.js";
+import { resolvePaperProfile } from "./paper-profiles.js";
+
+// Renders declarative (JSON) templates into the same command objects the built-in
+// generators return. A template looks like:
+// {
+//   "name": "BAR_TICKET",
+//   "description": "Drinks ticket for the bar printer",
+//   "commands": [
+//     { "type": "setStyles", "align": "CT", "style": "B", "size": [1, 2] },
+//     { "type": "println", "content": "{{ storeName | default:'BAR' | uppercase }}" },
+//     { "type": "resetStyles" },
+//     { "if": "customerName", "then": [{ "type": "println", "content": "Customer : {{ customerName }}" }] },
+//     { "each": "items", "as": "item", "do": [
+//       { "type": "println", "content": "{{ item.qty | padStart:3 }} {{ item.name | uppercase }}" }
+//     ] },
+//     { "type": "qr", "content": "{{ orderNumber }}" },
+//     { "type": "cut" }
+//   ]
+// }
+// Blocks: { if, then, else } (if: "path" or "!path"; empty arrays are false) and
+// { each, as = "item", do } (also exposes loop.index, loop.number, loop.first, loop.last).
+// Every string inside a command is interpolated; a string that is a single {{ }} keeps
+// the value's type, so "lines": "{{ feedLines }}" stays a number.
+// Besides the job's data, the scope has `now` and `paper` (the target printer's paper
+// profile), e.g. "{{ '-' | repeat:paper.columns }}" for a full-width separator.
+// Instead of "commands" a template may have "html": a document string, or an array of
+// strings and the same if/each blocks, joined into one page. Values are HTML-escaped.
+// Such templates print as raster images on ESC/POS printers (see html-raster.js).
+//   "html": ["<h1>{{ storeName }}</h1><table>",
+//     { "each": "items", "do": ["<tr><td>{{ item.name }}</td><td>{{ item.qty }}</td></tr>"] },
+//     "</table>"]
+
+export const TEMPLATE_COMMAND_TYPES = [
+	"text",
+	"println",
+	"print",
+	"feed",
+	"cut",
+	"beep",
+	"align",
+	"setstyles",
+	"resetstyles",
+	"barcode",
+	"qr",
+	"image",
+	"imagebuffer",
+	"drawline",
+	"raw",
+	"tablecustom",
+	"cashdraw",
+];
+
+const MONTHS = [
+	"Jan",
+	"Feb",
+	"Mar",
+	"Apr",
+	"May",
+	"Jun",
+	"Jul",
+	"Aug",
+	"Sep",
+	"Oct",
+	"Nov",
+	"Dec",
+];
+
+function formatDate(value, pattern = "DD-MMM-YYYY") {
+	const date = value instanceof Date ? value : new Date(value ?? Date.now());
+	if (Number.isNaN(date.getTime())) return String(value ?? "");
+	const pad = (n) => String(n).padStart(2, "0");
+	const hours12 = date.getHours() % 12 || 12;
+	const tokens = {
+		YYYY: date.getFullYear(),
+		MMM: MONTHS[date.getMonth()],
+		MM: pad(date.getMonth() + 1),
+		DD: pad(date.getDate()),
+		HH: pad(date.getHours()),
+		hh: pad(hours12),
+		h: hours12,
+		mm: pad(date.getMinutes()),
+		ss: pad(date.getSeconds()),
+		A: date.getHours() < 12 ? "AM" : "PM",
+		a: date.getHours() < 12 ? "am" : "pm",
+	};
+	return String(pattern).replace(
+		/YYYY|MMM|MM|DD|HH|hh|h|mm|ss|A|a/g,
+		(token) => tokens[token]
+	);
+}
+
+export const TEMPLATE_FORMATTERS = {
+	uppercase: (value) => String(value ?? "").toUpperCase(),
+	lowercase: (value) => String(value ?? "").toLowerCase(),
+	default: (value, fallback = "") =>
+		value === undefined || value === null || value === "" ? fallback : value,
+	padStart: (value, width = 0, char = " ") =>
+		String(value ?? "").padStart(parseInt(width, 10) || 0, String(char)),
+	padEnd: (value, width = 0, char = " ") =>
+		String(value ?? "").padEnd(parseInt(width, 10) || 0, String(char)),
+	repeat: (value, count = 1) =>
+		String(value ?? "").repeat(Math.max(0, parseInt(count, 10) || 0)),
+	// currency:2 -> "12.50", currency:'AED ':2 -> "AED 12.50"
+	currency: (value, symbolOrDecimals, decimals) => {
+		const hasSymbol = typeof symbolOrDecimals === "string";
+		const places = parseInt(hasSymbol ? decimals : symbolOrDecimals, 10);
+		const amount = (parseFloat(value) || 0).toFixed(
+			Number.isInteger(places) ? places : 2
+		);
+		return hasSymbol ? `${symbolOrDecimals}${amount}` : amount;
+	},
+	date: (value, pattern) => formatDate(value, pattern),
+};
+
+export function getPath(scope, pathExpression) {
+	return String(pathExpression)
+		.split(".")
+		.reduce(
+			(current, key) =>
+				current === undefined || current === null ? undefined : current[key],
+			scope
+		);
+}
+
+// Splits on `sep` outside of single/double quotes
+function splitOutsideQuotes(text, sep) {
+	const parts = [];
+	let current = "";
+	let quote = null;
+	for (const char of text) {
+		if (quote) {
+			if (char === quote) quote = null;
+			current += char;
+		} else if (char === "'" || char === '"') {
+			quote = char;
+			current += char;
+		} else if (char === sep) {
+			parts.push(current.trim());
+			current = "";
+		} else current += char;
+	}
+	parts.push(current.trim());
+	return parts;
+}
+
+// Literal 'text' / "text" / number, otherwise a data path (falls back to the raw token)
+function evaluateOperand(token, scope) {
+	if (/^(['"]).*\1$/.test(token)) return token.slice(1, -1);
+	if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+	if (token === "true" || token === "false") return token === "true";
+	const value = getPath(scope, token);
+	return value === undefined ? token : value;
+}
+
+function evaluateExpression(expression, scope) {
+	const [head, ...filters] = splitOutsideQuotes(expression, "|");
+	let value = /^(['"]).*\1$|^-?\d+(\.\d+)?$/.test(head)
+		? evaluateOperand(head, scope)
+		: getPath(scope, head);
+	for (const filter of filters) {
+		const [name, ...args] = splitOutsideQuotes(filter, ":");
+		const formatter = TEMPLATE_FORMATTERS[name];
+		if (!formatter) throw new Error(`Unknown formatter '${name}'.`);
+		value = formatter(value, ...args.map((arg) => evaluateOperand(arg, scope)));
+	}
+	return value;
+}
+
+const EXPRESSION_PATTERN = /\{\{\s*(.+?)\s*\}\}/g;
+
+function interpolate(value, scope) {
+	if (typeof value === "string") {
+		const whole = value.match(/^\{\{\s*((?:(?!\}\}).)+?)\s*\}\}$/);
+		if (whole) return evaluateExpression(whole[1], scope) ?? "";
+		return value.replace(EXPRESSION_PATTERN, (_, expression) => {
+			const result = evaluateExpression(expression, scope);
+			return result === undefined || result === null ? "" : String(result);
+		});
+	}
+	if (Array.isArray(value)) return value.map((v) => interpolate(v, scope));
+	if (value && typeof value === "object")
+		return Object.fromEntries(
+			Object.entries(value).map(([k, v]) => [k, interpolate(v, scope)])
+		);
+	return value;
+}
+
+function interpolateHtml(value, scope) {
+	return String(value).replace(EXPRESSION_PATTERN, (_, expression) => {
+		const result = evaluateExpression(expression, scope);
+		return result === undefined || result === null ? "" : escapeHtml(result);
+	});
+}
+
+function isTruthy(condition, scope) {
+	const negate = condition.trim().startsWith("!");
+	const value = evaluateExpression(condition.trim().replace(/^!/, ""), scope);
+	const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+	return negate ? !truthy : truthy;
+}
+
+function renderNodes(nodes, scope, output, render = interpolate) {
+	for (const node of nodes || []) {
+		if (node.if !== undefined) {
+			renderNodes(
+				isTruthy(String(node.if), scope) ? node.then : node.else,
+				scope,
+				output,
+				render
+			);
+		} else if (node.each !== undefined) {
+			const list = evaluateExpression(String(node.each), scope);
+			if (!Array.isArray(list)) continue;
+			const alias = node.as || "item";
+			list.forEach((entry, index) =>
+				renderNodes(
+					node.do,
+					{
+						...scope,
+						[alias]: entry,
+						loop: {
+							index,
+							number: index + 1,
+							first: index === 0,
+							last: index === list.length - 1,
+						},
+					},
+					output,
+					render
+				)
+			);
+		} else {
+			output.push(render(node, scope));
+		}
+	}
+	return output;
+}
+
+// Returns a list of problems (empty when the template is usable)
+export function validateDeclarativeTemplate(template) {
+	const problems = [];
+	if (!template || typeof template !== "object")
+		return ["Template must be a JSON object."];
+	if (template.html !== undefined) {
+		if (typeof template.html === "string") return [];
+		if (!Array.isArray(template.html))
+			return ["Template 'html' must be a string or an array."];
+	} else if (!Array.isArray(template.commands))
+		return ["Template needs a 'commands' array or an 'html' document."];
+	const visit = (nodes, where) => {
+		if (!Array.isArray(nodes)) {
+			problems.push(`${where}: expected an array.`);
+			return;
+		}
+		nodes.forEach((node, i) => {
+			const at = `${where}[${i}]`;
+			if (node?.if !== undefined) {
+				visit(node.then || [], `${at}.then`);
+				if (node.else) visit(node.else, `${at}.else`);
+			} else if (node?.each !== undefined) {
+				visit(node.do || [], `${at}.do`);
+			} else if (template.html !== undefined) {
+				if (typeof node !== "string")
+					problems.push(`${at}: expected an HTML string or a block.`);
+			} else if (
+				!TEMPLATE_COMMAND_TYPES.includes(String(node?.type).toLowerCase())
+			) {
+				problems.push(`${at}: unknown command type '${node?.type}'.`);
+			}
+		});
+	};
+	if (template.html !== undefined) visit(template.html, "html");
+	else visit(template.commands, "commands");
+	return problems;
+}
+
+// Command objects, or the HTML document for "html" templates
+export function renderDeclarativeTemplate(template, data = {}, { paper } = {}) {
+	const scope = {
+		...data,
+		now: new Date(),
+		paper: paper || resolvePaperProfile(),
+	};
+	if (template.html !== undefined)
+		return renderNodes(
+			Array.isArray(template.html) ? template.html : [template.html],
+			scope,
+			[],
+			interpolateHtml
+		).join("");
+	return renderNodes(template.commands, scope, []);
+}
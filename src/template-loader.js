@@ -0,0 +1,126 @@
+// src/template-loader.js
+import fs from "fs";
+import path from "path";
+import { getConfigPath } from "./config-store.js";
+import {
+	renderDeclarativeTemplate,
+	validateDeclarativeTemplate,
+} from "./template-engine.js";
+
+// Declarative templates dropped into <userData>/templates/*.json by the team.
+// The folder is watched, so saving a file updates the layout without a rebuild.
+const TEMPLATES_DIR_NAME = "templates";
+const RELOAD_DEBOUNCE_MS = 250; // Editors often write a file in several steps
+
+let diskTemplates = new Map(); // TYPE -> { type, file, description, template, loadedAt }
+let templateErrors = []; // [{ file, error }]
+let watcher = null;
+let reloadTimer = null;
+
+export function getTemplatesDir() {
+	return getConfigPath(TEMPLATES_DIR_NAME);
+}
+
+export function loadDiskTemplates(reservedTypes = []) {
+	const dir = getTemplatesDir();
+	const loaded = new Map();
+	const errors = [];
+	let files = [];
+	try {
+		fs.mkdirSync(dir, { recursive: true });
+		files = fs
+			.readdirSync(dir)
+			.filter((f) => f.toLowerCase().endsWith(".json"));
+	} catch (dirError) {
+		console.error(`TEMPLATES: Cannot read '${dir}': ${dirError.message}`);
+	}
+
+	for (const file of files) {
+		try {
+			const template = JSON.parse(
+				fs.readFileSync(path.join(dir, file), "utf8")
+			);
+			const problems = validateDeclarativeTemplate(template);
+			if (problems.length > 0) throw new Error(problems.join(" "));
+			const type = String(template.name || path.basename(file, ".json"))
+				.trim()
+				.toUpperCase();
+			if (reservedTypes.includes(type))
+				throw new Error(
+					`'${type}' is a built-in template and cannot be replaced.`
+				);
+			if (loaded.has(type))
+				throw new Error(
+					`Duplicate template name '${type}' (also in ${
+						loaded.get(type).file
+					}).`
+				);
+			loaded.set(type, {
+				type,
+				file,
+				description: template.description || "",
+				template,
+				loadedAt: new Date().toISOString(),
+			});
+		} catch (templateError) {
+			console.error(`TEMPLATES: Skipping '${file}': ${templateError.message}`);
+			errors.push({ file, error: templateError.message });
+		}
+	}
+
+	diskTemplates = loaded;
+	templateErrors = errors;
+	console.log(
+		`TEMPLATES: Loaded ${loaded.size} template(s) from '${dir}' (${errors.length} with errors).`
+	);
+	return diskTemplates;
+}
+
+export function watchDiskTemplates(reservedTypes = []) {
+	loadDiskTemplates(reservedTypes);
+	if (watcher) return;
+	try {
+		watcher = fs.watch(getTemplatesDir(), () => {
+			clearTimeout(reloadTimer);
+			reloadTimer = setTimeout(
+				() => loadDiskTemplates(reservedTypes),
+				RELOAD_DEBOUNCE_MS
+			);
+		});
+		watcher.on("error", (watchError) =>
+			console.error(`TEMPLATES: Watcher error: ${watchError.message}`)
+		);
+	} catch (watchError) {
+		console.error(
+			`TEMPLATES: Cannot watch templates dir: ${watchError.message}`
+		);
+	}
+}
+
+export function stopWatchingDiskTemplates() {
+	clearTimeout(reloadTimer);
+	if (watcher) watcher.close();
+	watcher = null;
+}
+
+// Same signature as the built-in generators: (templateData, { paper }) => command objects
+export function getDiskTemplateGenerator(templateType) {
+	const entry = diskTemplates.get(String(templateType).toUpperCase());
+	if (!entry) return null;
+	return (data, context) =>
+		renderDeclarativeTemplate(entry.template, data, context);
+}
+
+export function listDiskTemplates() {
+	return {
+		templates: Array.from(diskTemplates.values()).map(
+			({ type, file, description, loadedAt }) => ({
+				type,
+				file,
+				description,
+				loadedAt,
+			})
+		),
+		errors: templateErrors,
+	};
+}
@@ -16,11 +16,14 @@
  * @param {Array<object>} [data.items] - e.g., [{ qty: 11, name: "subway bread", notes: "extra cheese" }]
  * @param {string} [data.servedBy] - e.g., "0465 - KARIM MOHAMED KAMAL MOHAMED"
  * @param {string} [data.notes] - General order notes.
+ * @param {string} [data.stationName] - Kitchen station this ticket was routed to, e.g. "grill".
+ * @param {object} [context]
+ * @param {object} [context.paper] - Target printer's paper profile (see paper-profiles.js); `columns` is chars per line.
  * @returns {Array<object>} - Array of print command objects.
  */
-export function generateTwKitchenTakeawayTicket(data = {}) {
+export function generateTwKitchenTakeawayTicket(data = {}, { paper } = {}) {
 	const printCommands = [];
-	const paperCharWidth = 42; // Approx characters for 80mm thermal paper with standard font. Adjust this!
+	const paperCharWidth = paper?.columns || 42; // Characters per line on the target printer
 
 	// Helper to safely get data or return a default, converting to string
 	const d = (value, defaultValue = "") =>
@@ -49,6 +52,19 @@ export function generateTwKitchenTakeawayTicket(data = {}) {
 		type: "println",
 		content: `*** ${d(data.orderType, "TAKEAWAY").toUpperCase()} ***`,
 	});
+	if (data.stationName) {
+		// Per-station KOT (see kot-routing.js): make the station obvious at the pass
+		printCommands.push({
+			type: "setStyles",
+			align: "CT",
+			style: "BI",
+			size: [2, 1],
+		}); // Double width, inverted
+		printCommands.push({
+			type: "println",
+			content: ` ${d(data.stationName).toUpperCase()} `,
+		});
+	}
 	printCommands.push({ type: "resetStyles" }); // Reset to default before next section
 	printCommands.push({ type: "feed", lines: 1 });
 
@@ -0,0 +1,386 @@
+/**
+ * Generates printData (an array of command objects) for the itemised customer sales receipt.
+ * Lays out for the paper profile's characters per line: 42 on 80mm clone heads, 32 on 58mm.
+ *
+ * @param {object} data - The dynamic data for the receipt.
+ * @param {number} [data.paperCharWidth] - Overrides the paper profile's characters per line.
+ * @param {string} [data.logoPath] - PNG file printed above the header, by name in the
+ *   bridge's assets folder (<userData>/assets; see image-assets.js).
+ * @param {string} [data.logoBase64] - Base64 PNG, used when no logoPath is given.
+ * @param {string} [data.storeName="TW KITCHEN"]
+ * @param {string|Array<string>} [data.storeAddress] - One string or one entry per line.
+ * @param {string} [data.storePhone]
+ * @param {string} [data.vatNumber] - e.g., "100234567800003"
+ * @param {string} [data.receiptTitle="TAX INVOICE"]
+ * @param {string} [data.invoiceNumber] - e.g., "INV-2025-000123"
+ * @param {string} [data.orderNumber]
+ * @param {string} [data.orderType] - e.g., "DINE IN"
+ * @param {string} [data.tableNumber]
+ * @param {string} [data.cashier]
+ * @param {string} [data.customerName]
+ * @param {string} [data.date] - (Derived if not provided) e.g., "15-May-2025 9:21 am"
+ * @param {string} [data.currencySymbol=""] - Prefix for amounts, e.g., "AED "
+ * @param {number} [data.decimals=2]
+ * @param {Array<object>} [data.items] - e.g., [{ qty: 2, name: "Burger", unitPrice: 12.5,
+ *   modifiers: [{ name: "Extra cheese", price: 2 }], discount: 1, notes: "no onion" }]
+ * @param {Array<object>} [data.discounts] - Order level, e.g., [{ label: "Happy hour 10%", amount: 3.2 }]
+ * @param {Array<object>} [data.taxes] - e.g., [{ label: "VAT", rate: 5, taxable: 100, amount: 5 }]
+ * @param {boolean} [data.pricesIncludeTax=true] - When true taxes are shown but not added to the total.
+ * @param {number} [data.subtotal] - (Computed from items if not provided)
+ * @param {number} [data.total] - (Computed if not provided)
+ * @param {Array<object>} [data.payments] - e.g., [{ method: "CASH", amount: 50 }, { method: "CARD", amount: 20 }]
+ * @param {number} [data.change] - (Computed from payments if not provided)
+ * @param {string|Array<string>} [data.footer="Thank you for your visit!"]
+ * @param {string} [data.invoiceCode="QR"] - "QR", "BARCODE", "BOTH" or "NONE"; encodes the invoice number.
+ *   A CODE128 barcode too wide for the paper is printed as a QR code (or as text when a QR is already there).
+ * @param {boolean|object} [data.openDrawer=false] - Kick the cash drawer as printing starts (cash sales);
+ *   true for the default pulse or { pin: 2|5, onMs, offMs } (see cash-drawer.js).
+ * @param {object} [context]
+ * @param {object} [context.paper] - Target printer's paper profile (see paper-profiles.js); `columns` is chars per line,
+ *   `dotsPerLine` and `margins` size the barcode.
+ * @returns {Array<object>} - Array of print command objects.
+ */
+export function generateStandardReceipt(data = {}, { paper } = {}) {
+	const printCommands = [];
+	const paperCharWidth =
+		parseInt(data.paperCharWidth, 10) || paper?.columns || 42;
+	const isNarrow = paperCharWidth < 42; // 58mm: item name and amounts on separate rows
+	const decimals = Number.isInteger(data.decimals) ? data.decimals : 2;
+
+	// Helper to safely get data or return a default, converting to string
+	const d = (value, defaultValue = "") =>
+		value !== undefined && value !== null ? String(value) : defaultValue;
+	const num = (value) => parseFloat(value) || 0;
+	const money = (value) => num(value).toFixed(decimals);
+	const withSymbol = (value) => `${d(data.currencySymbol)}${money(value)}`;
+	// Left text and right text on one line, padded to the paper width
+	const leftRight = (left, right, width = paperCharWidth) => {
+		const spaceCount = Math.max(1, width - left.length - right.length);
+		return `${left}${" ".repeat(spaceCount)}${right}`;
+	};
+	const toLines = (value) =>
+		(Array.isArray(value) ? value : d(value).split("\n")).filter(
+			(line) => d(line).length > 0
+		);
+
+	// --- Totals (anything the POS sends wins over what we compute) ---
+	const items = Array.isArray(data.items) ? data.items : [];
+	const lineTotal = (item) =>
+		num(item.qty) * num(item.unitPrice) +
+		(item.modifiers || []).reduce(
+			(sum, mod) => sum + num(mod.price) * (num(mod.qty) || 1) * num(item.qty),
+			0
+		) -
+		num(item.discount);
+	const subtotal =
+		data.subtotal !== undefined
+			? num(data.subtotal)
+			: items.reduce((sum, item) => sum + lineTotal(item), 0);
+	const discounts = Array.isArray(data.discounts) ? data.discounts : [];
+	const discountTotal = discounts.reduce(
+		(sum, disc) => sum + num(disc.amount),
+		0
+	);
+	const taxes = Array.isArray(data.taxes) ? data.taxes : [];
+	const taxTotal = taxes.reduce((sum, tax) => sum + num(tax.amount), 0);
+	const pricesIncludeTax = data.pricesIncludeTax !== false;
+	const total =
+		data.total !== undefined
+			? num(data.total)
+			: subtotal - discountTotal + (pricesIncludeTax ? 0 : taxTotal);
+	const payments = Array.isArray(data.payments) ? data.payments : [];
+	const paidTotal = payments.reduce((sum, p) => sum + num(p.amount), 0);
+	const change =
+		data.change !== undefined
+			? num(data.change)
+			: Math.max(0, paidTotal - total);
+
+	// --- Template Definition Start ---
+
+	// Cash drawer first, so it is open while the receipt prints
+	if (data.openDrawer)
+		printCommands.push({
+			type: "cashdraw",
+			...(typeof data.openDrawer === "object" ? data.openDrawer : {}),
+		});
+
+	// Logo
+	if (data.logoPath) {
+		printCommands.push({ type: "image", path: data.logoPath, align: "CT" });
+	} else if (data.logoBase64) {
+		printCommands.push({
+			type: "imageBuffer",
+			buffer: data.logoBase64,
+			align: "CT",
+		});
+	}
+
+	// Store header
+	printCommands.push({
+		type: "setStyles",
+		align: "CT",
+		style: "B",
+		size: [2, 2],
+	}); // Double width and height for the store name
+	printCommands.push({
+		type: "println",
+		content: d(data.storeName, "TW KITCHEN"),
+	});
+	printCommands.push({ type: "resetStyles" });
+	toLines(data.storeAddress).forEach((line) =>
+		printCommands.push({ type: "println", content: d(line), align: "CT" })
+	);
+	if (data.storePhone)
+		printCommands.push({
+			type: "println",
+			content: `Tel: ${d(data.storePhone)}`,
+			align: "CT",
+		});
+	if (data.vatNumber)
+		printCommands.push({
+			type: "println",
+			content: `VAT No: ${d(data.vatNumber)}`,
+			align: "CT",
+		});
+	printCommands.push({ type: "feed", lines: 1 });
+	printCommands.push({
+		type: "println",
+		content: d(data.receiptTitle, "TAX INVOICE").toUpperCase(),
+		align: "CT",
+		style: "B",
+	});
+	printCommands.push({ type: "println", content: "-".repeat(paperCharWidth) });
+
+	// Invoice details
+	const dateStr = d(
+		data.date,
+		`${new Date()
+			.toLocaleDateString("en-GB", {
+				day: "2-digit",
+				month: "short",
+				year: "numeric",
+			})
+			.replace(/ /g, "-")} ${new Date().toLocaleTimeString("en-US", {
+			hour: "numeric",
+			minute: "2-digit",
+			hour12: true,
+		})}`
+	);
+	const detailRows = [
+		["Invoice", data.invoiceNumber],
+		["Order", data.orderNumber],
+		["Date", dateStr],
+		["Type", data.orderType],
+		["Table", data.tableNumber],
+		["Cashier", data.cashier],
+		["Customer", data.customerName],
+	].filter(
+		([, value]) => value !== undefined && value !== null && value !== ""
+	);
+	detailRows.forEach(([label, value]) =>
+		printCommands.push({
+			type: "println",
+			content: `${label.padEnd(9, " ")}: ${d(value)}`,
+		})
+	);
+	printCommands.push({ type: "println", content: "-".repeat(paperCharWidth) });
+
+	// Item table: qty x unit price = line total
+	const amountCols = 9; // Fits "99,999.99"
+	const qtyCols = 4;
+	const itemTableOptions = isNarrow
+		? {
+				columns: [
+					{ align: "LEFT", cols: paperCharWidth - amountCols },
+					{ align: "RIGHT", cols: amountCols },
+				],
+		  }
+		: {
+				columns: [
+					{ align: "LEFT", cols: paperCharWidth - qtyCols - amountCols * 2 },
+					{ align: "RIGHT", cols: qtyCols },
+					{ align: "RIGHT", cols: amountCols },
+					{ align: "RIGHT", cols: amountCols },
+				],
+		  };
+	printCommands.push({
+		type: "tableCustom",
+		data: [isNarrow ? ["Item", "Total"] : ["Item", "Qty", "Price", "Total"]],
+		options: {
+			columns: itemTableOptions.columns.map((col) => ({ ...col, style: "B" })),
+		},
+	});
+	printCommands.push({ type: "println", content: "-".repeat(paperCharWidth) });
+
+	items.forEach((item) => {
+		const name = d(item.name, "N/A ITEM");
+		const qty = num(item.qty);
+		const lineRows = [];
+		if (isNarrow) {
+			printCommands.push({ type: "println", content: name });
+			lineRows.push([
+				`  ${qty} x ${money(item.unitPrice)}`,
+				money(qty * num(item.unitPrice)),
+			]);
+		} else {
+			lineRows.push([
+				name,
+				d(qty),
+				money(item.unitPrice),
+				money(qty * num(item.unitPrice)),
+			]);
+		}
+		(item.modifiers || []).forEach((mod) => {
+			const modAmount = num(mod.price) * (num(mod.qty) || 1) * qty;
+			const label = `  + ${d(mod.name)}`;
+			lineRows.push(
+				isNarrow
+					? [label, modAmount ? money(modAmount) : ""]
+					: [
+							label,
+							"",
+							mod.price ? money(mod.price) : "",
+							modAmount ? money(modAmount) : "",
+					  ]
+			);
+		});
+		if (num(item.discount)) {
+			const label = `  ${d(item.discountLabel, "Discount")}`;
+			lineRows.push(
+				isNarrow
+					? [label, `-${money(item.discount)}`]
+					: [label, "", "", `-${money(item.discount)}`]
+			);
+		}
+		printCommands.push({
+			type: "tableCustom",
+			data: lineRows,
+			options: itemTableOptions,
+		});
+		if (item.notes)
+			printCommands.push({ type: "println", content: `  (${d(item.notes)})` });
+	});
+	printCommands.push({ type: "println", content: "-".repeat(paperCharWidth) });
+
+	// Totals
+	printCommands.push({
+		type: "println",
+		content: leftRight("Subtotal", withSymbol(subtotal)),
+	});
+	discounts.forEach((disc) =>
+		printCommands.push({
+			type: "println",
+			content: leftRight(
+				d(disc.label, "Discount"),
+				`-${withSymbol(disc.amount)}`
+			),
+		})
+	);
+	if (taxes.length > 0) {
+		taxes.forEach((tax) => {
+			const rate = tax.rate !== undefined ? ` ${d(tax.rate)}%` : "";
+			const taxable =
+				tax.taxable !== undefined && !isNarrow
+					? ` on ${money(tax.taxable)}`
+					: "";
+			printCommands.push({
+				type: "println",
+				content: leftRight(
+					`${d(tax.label, "Tax")}${rate}${taxable}`,
+					withSymbol(tax.amount)
+				),
+			});
+		});
+		if (pricesIncludeTax)
+			printCommands.push({
+				type: "println",
+				content: "(Prices include tax)",
+				align: "RT",
+			});
+	}
+	printCommands.push({ type: "println", content: "=".repeat(paperCharWidth) });
+	printCommands.push({
+		type: "setStyles",
+		align: "LT",
+		style: "B",
+		size: [1, 2],
+	}); // Double height total
+	printCommands.push({
+		type: "println",
+		content: leftRight("TOTAL", withSymbol(total)),
+	});
+	printCommands.push({ type: "resetStyles" });
+	printCommands.push({ type: "println", content: "=".repeat(paperCharWidth) });
+
+	// Tenders
+	payments.forEach((payment) =>
+		printCommands.push({
+			type: "println",
+			content: leftRight(
+				`Paid ${d(payment.method, "CASH").toUpperCase()}`,
+				withSymbol(payment.amount)
+			),
+		})
+	);
+	if (payments.length > 0 || data.change !== undefined) {
+		printCommands.push({
+			type: "println",
+			content: leftRight("Change Due", withSymbol(change)),
+			style: "B",
+		});
+	}
+	printCommands.push({ type: "feed", lines: 1 });
+
+	// Footer
+	toLines(data.footer ?? "Thank you for your visit!").forEach((line) =>
+		printCommands.push({ type: "println", content: d(line), align: "CT" })
+	);
+
+	// Invoice number as QR and/or barcode for returns and lookups
+	const invoiceCode = d(data.invoiceCode, "QR").toUpperCase();
+	const invoiceValue = d(data.invoiceNumber || data.orderNumber);
+	if (invoiceValue && invoiceCode !== "NONE") {
+		printCommands.push({ type: "feed", lines: 1 });
+		const wantsQr = invoiceCode === "QR" || invoiceCode === "BOTH";
+		const wantsBarcode = invoiceCode === "BARCODE" || invoiceCode === "BOTH";
+		// The bridge sends CODE128 in code set B: 11 modules per character plus start, check
+		// and stop (35), and a 10 module quiet zone each side. Widest module (GS w 2-3) that fits.
+		const printableDots =
+			(paper?.dotsPerLine || 512) -
+			(paper?.margins?.left || 0) -
+			(paper?.margins?.right || 0);
+		const barcodeModules = 11 * invoiceValue.length + 35 + 20;
+		const moduleDots = [3, 2].find(
+			(dots) => barcodeModules * dots <= printableDots
+		);
+		if (wantsQr || (wantsBarcode && !moduleDots))
+			printCommands.push({
+				type: "qr",
+				content: invoiceValue,
+				align: "CT",
+				cellSize: isNarrow ? 4 : 6,
+			});
+		if (wantsBarcode && moduleDots)
+			printCommands.push({
+				type: "barcode",
+				content: invoiceValue,
+				barcodeType: 73, // CODE128
+				align: "CT",
+				width: moduleDots,
+				height: 60,
+				hriPos: 2, // Human readable text below
+			});
+		else if (wantsBarcode && wantsQr)
+			printCommands.push({
+				type: "println",
+				content: invoiceValue,
+				align: "CT",
+			});
+	}
+
+	// End of receipt
+	printCommands.push({ type: "feed", lines: 3 }); // Some space before cutting
+	printCommands.push({ type: "cut" });
+
+	return printCommands;
+}
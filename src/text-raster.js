@@ -0,0 +1,108 @@
+// src/text-raster.js
+import { nativeImage } from "electron";
+import iconv from "iconv-lite";
+import { renderHtmlToPng } from "./html-renderer.js";
+import { escapeHtml, segmentHtml, toCssAlign, toSize } from "./html-text.js";
+
+// Raster fallback for text the printer's code page cannot hold (Arabic, Devanagari, CJK, ...).
+// Most ESC/POS printers have no Unicode mode, so generatePrintBufferNTP asks canEncodeText()
+// per line and sends the lines that fail as bitmaps drawn by Chromium, which also takes care
+// of joining and ordering the glyphs. Plain lines stay as text, which prints much faster.
+// Lines are sized like printer text: one cell is printable dots / columns wide and twice as
+// tall (Font A is 12x24), scaled by the line's [w, h] size.
+const DEFAULT_ENCODING = "CP437"; // What printers use until a code page is selected
+const FONT_STACK =
+	"'Segoe UI','Noto Sans','Noto Sans Arabic','Noto Sans Devanagari','Noto Sans CJK SC','Microsoft YaHei',Tahoma,Arial,sans-serif";
+
+// `encoding` is an iconv name from the printer driver's CODE_PAGES (e.g. "CP437", "CP864").
+// Mirrors node-thermal-printer's own check: a character it cannot encode becomes "?".
+export function canEncodeText(text, encoding = DEFAULT_ENCODING) {
+	for (const char of String(text ?? "")) {
+		if (char.charCodeAt(0) < 0x80) continue;
+		try {
+			const encoded = iconv.encode(char, encoding || DEFAULT_ENCODING);
+			if (encoded.length === 0 || (encoded.length === 1 && encoded[0] === 0x3f))
+				return false;
+		} catch (encodeError) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Table cells get the widths node-thermal-printer's tableCustom() gives them, in dots.
+// Text that does not fit is clipped rather than wrapped onto a second line.
+function cellsHtml(cells, columns, cellDots) {
+	let cellWidth = columns / cells.length;
+	return cells
+		.map((cell) => {
+			if (cell.width) cellWidth = columns * cell.width;
+			else if (cell.cols) cellWidth = cell.cols;
+			return `<span class="cell${
+				cell.bold ? " b" : ""
+			}" dir="auto" style="width:${(cellWidth * cellDots).toFixed(
+				2
+			)}px;text-align:${toCssAlign(cell.align)}">${escapeHtml(
+				cell.text
+			)}</span>`;
+		})
+		.join("");
+}
+
+// lines: [{ segments: [{ text, style }], align, size } | { cells: [{ text, align, width|cols, bold }] }]
+// layout: { printableDots, columns }. Returns one PNG buffer per line, printableDots wide.
+export async function renderTextLinesToPng(lines, { printableDots, columns }) {
+	const cellDots = printableDots / columns;
+	const lineDots = Math.round(cellDots * 2);
+	let html = "";
+	const heights = lines.map((line) => {
+		if (line.cells) {
+			html += `<div class="line" style="height:${lineDots}px;font-size:${Math.round(
+				lineDots * 0.8
+			)}px;line-height:${lineDots}px">${cellsHtml(
+				line.cells,
+				columns,
+				cellDots
+			)}</div>\n`;
+			return lineDots;
+		}
+		const [w, h] = toSize(line.size);
+		const height = lineDots * h;
+		const scale =
+			w === h
+				? ""
+				: `width:${((printableDots * h) / w).toFixed(2)}px;transform:scaleX(${
+						w / h
+				  });`;
+		html += `<div class="line" dir="auto" style="height:${height}px;font-size:${Math.round(
+			height * 0.8
+		)}px;line-height:${height}px;text-align:${toCssAlign(
+			line.align
+		)};${scale}">${line.segments
+			.map((segment) => segmentHtml(segment.text, segment.style))
+			.join("")}</div>\n`;
+		return height;
+	});
+
+	const png = await renderHtmlToPng(
+		`<!DOCTYPE html><html><head><meta charset="UTF-8"><style>html,body{margin:0;padding:0;background:#fff}.paper{width:${printableDots}px;font-family:${FONT_STACK};color:#000;background:#fff;overflow:hidden}.line{white-space:pre;overflow:hidden;transform-origin:left top}.cell{display:inline-block;overflow:hidden;vertical-align:top}.b{font-weight:bold}.u{text-decoration:underline}.u2{text-decoration:underline;text-decoration-thickness:2px}.inv{background:#000;color:#fff}</style></head><body><div class="paper">\n${html}</div></body></html>`,
+		{ width: printableDots }
+	);
+
+	// The capture is in device pixels; bring it back to one pixel per dot before cutting lines
+	let image = nativeImage.createFromBuffer(png);
+	if (image.getSize().width !== printableDots)
+		image = image.resize({ width: printableDots, quality: "best" });
+	const imageHeight = image.getSize().height;
+	let top = 0;
+	return heights.map((height) => {
+		const lineImage = image.crop({
+			x: 0,
+			y: Math.min(top, imageHeight - 1),
+			width: printableDots,
+			height: Math.max(1, Math.min(height, imageHeight - top)),
+		});
+		top += height;
+		return lineImage.toPNG();
+	});
+}
@@ -0,0 +1,25 @@
+// test/bidi-text.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toVisualLine, toVisualText } from "../src/bidi-text.js";
+
+const visual = (text) =>
+	toVisualLine([{ text }])
+		.segments.map((segment) => segment.text)
+		.join("");
+
+test("leaves left-to-right lines untouched", () => {
+	assert.deepEqual(toVisualLine([{ text: "Total (incl. VAT)" }]), {
+		segments: [{ text: "Total (incl. VAT)" }],
+		rtl: false,
+	});
+});
+
+test("mirrors brackets in mixed Arabic and Latin text", () => {
+	assert.equal(visual("عدد 12 (x)"), "(x) 12 ﺩﺪﻋ");
+	assert.equal(toVisualText("عدد 12 (x)"), "(x) 12 ﺩﺪﻋ");
+});
+
+test("mirrors brackets around Arabic words", () => {
+	assert.equal(visual("[عدد]"), "[ﺩﺪﻋ]");
+});
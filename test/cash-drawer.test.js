@@ -0,0 +1,34 @@
+// test/cash-drawer.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { drawerKickBuffer, resolveDrawerPulse } from "../src/cash-drawer.js";
+
+test("encodes the default pulse as ESC p 0 25 250", () => {
+	assert.deepEqual([...drawerKickBuffer()], [0x1b, 0x70, 0, 25, 250]);
+});
+
+test("selects connector pin 5 with m = 1 and rounds times to 2 ms units", () => {
+	assert.deepEqual(
+		[...drawerKickBuffer({ pin: 5, onMs: 101, offMs: 510 })],
+		[0x1b, 0x70, 1, 51, 255]
+	);
+	assert.deepEqual(
+		[...drawerKickBuffer({ pin: "2", onMs: 2, offMs: 3 })],
+		[0x1b, 0x70, 0, 1, 2]
+	);
+});
+
+test("fills in defaults and rejects bad values with a 400", () => {
+	assert.deepEqual(resolveDrawerPulse({ pin: 5 }), {
+		pin: 5,
+		onMs: 50,
+		offMs: 500,
+	});
+	for (const options of [
+		{ pin: 3 },
+		{ onMs: 1 },
+		{ offMs: 511 },
+		{ onMs: "soon" },
+	])
+		assert.throws(() => resolveDrawerPulse(options), { statusCode: 400 });
+});
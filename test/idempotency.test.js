@@ -0,0 +1,71 @@
+// test/idempotency.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	claimIdempotencyKey,
+	fingerprintRequest,
+	readIdempotencyKey,
+} from "../src/idempotency.js";
+
+test("reads the key from the header or the jobKey field", () => {
+	assert.deepEqual(readIdempotencyKey(" order-1 ", undefined), {
+		key: "order-1",
+	});
+	assert.deepEqual(readIdempotencyKey(undefined, "order-1"), {
+		key: "order-1",
+	});
+	assert.deepEqual(readIdempotencyKey("order-1", "order-1"), {
+		key: "order-1",
+	});
+	assert.deepEqual(readIdempotencyKey(undefined, undefined), { key: null });
+	assert.ok(readIdempotencyKey("order-1", "order-2").error);
+	assert.ok(readIdempotencyKey(undefined, 42).error);
+	assert.ok(readIdempotencyKey("k".repeat(256), undefined).error);
+});
+
+test("fingerprints ignore key order but not values", () => {
+	const a = fingerprintRequest({
+		printerName: "Bar",
+		templateData: { x: 1, y: [1, 2] },
+	});
+	const b = fingerprintRequest({
+		templateData: { y: [1, 2], x: 1 },
+		printerName: "Bar",
+	});
+	const c = fingerprintRequest({
+		printerName: "Bar",
+		templateData: { x: 2, y: [1, 2] },
+	});
+	assert.equal(a, b);
+	assert.notEqual(a, c);
+});
+
+test("replays a queued response and refuses a different body", async () => {
+	const first = claimIdempotencyKey("test|replay", "body-a");
+	assert.equal(first.status, "new");
+	const waiting = claimIdempotencyKey("test|replay", "body-a");
+	assert.equal(waiting.status, "replay");
+	first.complete(202, { jobId: "j1", status: "queued" });
+	assert.deepEqual(await waiting.result, {
+		statusCode: 202,
+		body: { jobId: "j1", status: "queued" },
+	});
+	const later = claimIdempotencyKey("test|replay", "body-a");
+	assert.equal(later.status, "replay");
+	assert.equal((await later.result).body.jobId, "j1");
+	assert.equal(claimIdempotencyKey("test|replay", "body-b").status, "conflict");
+});
+
+test("frees the key after a failed request", async () => {
+	const first = claimIdempotencyKey("test|failed", "body");
+	first.complete(400, { error: "Missing 'templateType'." });
+	assert.equal(claimIdempotencyKey("test|failed", "body").status, "new");
+});
+
+test("never keeps a reply without a body", async () => {
+	const first = claimIdempotencyKey("test|empty", "body");
+	const waiting = claimIdempotencyKey("test|empty", "body");
+	first.complete(200, null);
+	assert.equal((await waiting.result).body, null);
+	assert.equal(claimIdempotencyKey("test|empty", "body").status, "new");
+});
@@ -0,0 +1,85 @@
+// test/kot-routing.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	normalizeKotRouting,
+	splitOrderByStation,
+} from "../src/kot-routing.js";
+
+const routing = normalizeKotRouting({
+	stations: [
+		{
+			name: "grill",
+			printerRole: "grill",
+			categories: ["Burgers"],
+			tags: ["grilled"],
+		},
+		{
+			name: "cold",
+			printerName: "Cold Station",
+			categories: ["salads", "desserts"],
+		},
+	],
+	fallbackStation: "Grill",
+});
+
+test("normalizes categories and tags to lower case", () => {
+	assert.deepEqual(routing.stations[0], {
+		name: "grill",
+		printerRole: "grill",
+		categories: ["burgers"],
+		tags: ["grilled"],
+	});
+	assert.equal(routing.fallbackStation, "Grill");
+});
+
+test("rejects invalid routing with a 400", () => {
+	const grill = { name: "grill", printerRole: "grill" };
+	for (const input of [
+		{},
+		{ stations: [] },
+		{ stations: [{ printerRole: "grill" }] },
+		{ stations: [{ name: "grill" }] },
+		{ stations: [grill, { name: "GRILL", printerRole: "fryer" }] },
+		{ stations: [grill], fallbackStation: "fryer" },
+	])
+		assert.throws(() => normalizeKotRouting(input), { statusCode: 400 });
+});
+
+test("routes items by category or tag, first matching station wins", () => {
+	const burger = { name: "Burger", category: "burgers" };
+	const salad = { name: "Caesar", category: "Salads" };
+	const halloumi = {
+		name: "Halloumi salad",
+		category: "salads",
+		tags: ["GRILLED"],
+	};
+	const { groups, unrouted } = splitOrderByStation(
+		{ items: [salad, burger, halloumi] },
+		routing
+	);
+	assert.deepEqual(
+		groups.map((group) => [group.station.name, group.items]),
+		[
+			["grill", [burger, halloumi]],
+			["cold", [salad]],
+		]
+	);
+	assert.deepEqual(unrouted, []);
+});
+
+test("sends unmatched items to the fallback station, or leaves them unrouted", () => {
+	const soup = { name: "Soup", category: "soups" };
+	assert.deepEqual(
+		splitOrderByStation({ items: [soup] }, routing).groups.map((group) => [
+			group.station.name,
+			group.items,
+		]),
+		[["grill", [soup]]]
+	);
+	const withoutFallback = { ...routing, fallbackStation: null };
+	assert.deepEqual(splitOrderByStation({ items: [soup] }, withoutFallback), {
+		groups: [],
+		unrouted: [soup],
+	});
+});
@@ -0,0 +1,52 @@
+// test/paper-profiles.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolvePaperProfile } from "../src/paper-profiles.js";
+
+test("uses the preset's characters per line without margins", () => {
+	assert.equal(resolvePaperProfile("80MM").columns, 48);
+	assert.equal(resolvePaperProfile({ profile: "80MM", font: "B" }).columns, 64);
+	assert.equal(resolvePaperProfile("58MM").columns, 32);
+});
+
+test("narrows columns to the width left between the margins", () => {
+	// 80MM Font A cells are 576 / 48 = 12 dots; 576 - 48 leaves 44 cells
+	const paper = resolvePaperProfile({
+		profile: "80MM",
+		margins: { left: 24, right: 24 },
+	});
+	assert.equal(paper.columns, 44);
+	assert.deepEqual(paper.charsPerLine, { A: 48, B: 64 });
+	// A margin smaller than a cell still costs that cell
+	assert.equal(
+		resolvePaperProfile({ profile: "80MM_512", margins: { left: 1 } }).columns,
+		41
+	);
+	// Font B cells are 576 / 64 = 9 dots; 560 dots hold 62 of them
+	assert.equal(
+		resolvePaperProfile({ profile: "80MM", font: "B", margins: { left: 16 } })
+			.columns,
+		62
+	);
+});
+
+test("rejects margins that leave no printable width", () => {
+	assert.throws(
+		() => resolvePaperProfile({ profile: "58MM", margins: { left: 384 } }),
+		{ statusCode: 400 }
+	);
+});
+
+test("caps the HTML page height with maxPageDots", () => {
+	assert.equal(resolvePaperProfile("58MM").maxPageDots, 16000);
+	assert.equal(
+		resolvePaperProfile({ profile: "80MM", maxPageDots: 4000 }).maxPageDots,
+		4000
+	);
+	assert.throws(() => resolvePaperProfile({ maxPageDots: 0 }), {
+		statusCode: 400,
+	});
+	assert.throws(() => resolvePaperProfile({ maxPageDots: 1000000 }), {
+		statusCode: 400,
+	});
+});
@@ -0,0 +1,87 @@
+// test/print-copies.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	resolveCopies,
+	withCopies,
+	withCopiesHtml,
+} from "../src/print-copies.js";
+
+const ticket = [
+	{ type: "cashdraw", pin: 2 },
+	{ type: "println", content: "Burger" },
+	{ type: "cut", partial: true },
+];
+
+test("resolves counts and copy specs", () => {
+	assert.equal(resolveCopies(undefined), null);
+	assert.equal(resolveCopies(1), null);
+	assert.deepEqual(resolveCopies(2), [
+		{ caption: "", cut: true, feed: 0 },
+		{ caption: "", cut: true, feed: 0 },
+	]);
+	assert.deepEqual(
+		resolveCopies([
+			"CUSTOMER COPY",
+			{ caption: "MERCHANT COPY", cut: false, feed: 2 },
+		]),
+		[
+			{ caption: "CUSTOMER COPY", cut: true, feed: 0 },
+			{ caption: "MERCHANT COPY", cut: false, feed: 2 },
+		]
+	);
+});
+
+test("rejects bad copy values with a 400", () => {
+	for (const value of [
+		0,
+		11,
+		1.5,
+		[],
+		["A", 5],
+		[{ feed: 11 }],
+		[{ cut: "no" }],
+	])
+		assert.throws(() => resolveCopies(value), { statusCode: 400 });
+});
+
+test("repeats the commands once per copy with captions, cuts and feeds", () => {
+	const commands = withCopies(
+		ticket,
+		resolveCopies([
+			{ caption: "CUSTOMER COPY", cut: false, feed: 2 },
+			"MERCHANT COPY",
+		])
+	);
+	assert.deepEqual(commands, [
+		{ type: "text", content: "CUSTOMER COPY", align: "CT", style: "B" },
+		{ type: "cashdraw", pin: 2 },
+		{ type: "println", content: "Burger" },
+		{ type: "feed", lines: 2 },
+		{ type: "text", content: "MERCHANT COPY", align: "CT", style: "B" },
+		{ type: "println", content: "Burger" },
+		{ type: "cut", partial: true },
+	]);
+});
+
+test("cuts between copies of a ticket that does not end with a cut", () => {
+	const commands = withCopies(
+		[{ type: "println", content: "Tea" }],
+		resolveCopies(2)
+	);
+	assert.deepEqual(
+		commands.map((cmd) => cmd.type),
+		["println", "cut", "println", "cut"]
+	);
+});
+
+test("repeats the HTML body with escaped captions, a page each", () => {
+	const html = withCopiesHtml(
+		'<html><body class="t"><p>Tea</p></body></html>',
+		resolveCopies(["<A&B>", "Kitchen"])
+	);
+	assert.equal(
+		html,
+		'<html><body class="t"><div style="text-align:center;font-weight:bold">&lt;A&amp;B&gt;</div><p>Tea</p><div style="break-after:page"></div><div style="text-align:center;font-weight:bold">Kitchen</div><p>Tea</p></body></html>'
+	);
+});
@@ -0,0 +1,59 @@
+// test/print-jobs.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	JOB_STATES,
+	createPrintJob,
+	enqueuePrintJob,
+} from "../src/print-jobs.js";
+
+const grill = { id: "grill", name: "Grill", connectionType: "RAW_USB" };
+const backup = { id: "fryer", name: "Fryer", connectionType: "MDNS_LAN" };
+
+const sendFailure = (message, retryable) =>
+	Object.assign(new Error(message), { retryable });
+
+// Fails on the grill printer with `error`, succeeds on any other
+async function printWithFailure(error) {
+	const job = createPrintJob({
+		printer: grill,
+		templateType: "KOT_SAVE",
+		templateData: {},
+		printerOptions: { retries: 0 },
+		backups: [backup],
+	});
+	const sentTo = [];
+	await enqueuePrintJob(job, {
+		render: async () => ({}),
+		send: async (sendingJob) => {
+			sentTo.push(sendingJob.printer.id);
+			if (sendingJob.printer.id === grill.id) throw error;
+			return "Printed.";
+		},
+		retarget: (retargetedJob, config) => {
+			retargetedJob.printer = config;
+		},
+	});
+	return { job, sentTo };
+}
+
+test("fails over to the backup when the printer cannot be reached", async () => {
+	const { job, sentTo } = await printWithFailure(
+		sendFailure("Device not found. Disconnected?", true)
+	);
+	assert.deepEqual(sentTo, ["grill", "fryer"]);
+	assert.equal(job.state, JOB_STATES.DONE);
+	assert.deepEqual(job.redirectedFrom, { id: "grill", name: "Grill" });
+});
+
+test("fails over after a transfer failure and errors without the flag", async () => {
+	for (const error of [
+		sendFailure("USB Transfer Error: LIBUSB_ERROR_PIPE", false),
+		new Error("OS print command failed: lp: printer not found"),
+	]) {
+		const { job, sentTo } = await printWithFailure(error);
+		assert.deepEqual(sentTo, ["grill", "fryer"]);
+		assert.equal(job.state, JOB_STATES.DONE);
+		assert.equal(job.printer.id, "fryer");
+	}
+});
@@ -0,0 +1,56 @@
+// test/printer-status.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeStatusBytes } from "../src/printer-status.js";
+
+// 0x12 is the idle answer to every DLE EOT query: only the fixed bits 1 and 4 set
+const IDLE = { printer: 0x12, offline: 0x12, error: 0x12, paper: 0x12 };
+
+test("reports an idle printer as healthy", () => {
+	assert.deepEqual(decodeStatusBytes(IDLE), {
+		offline: false,
+		drawerOpen: false,
+		coverOpen: false,
+		paperOut: false,
+		paperNearEnd: false,
+		cutterError: false,
+		unrecoverableError: false,
+		autoRecoverableError: false,
+	});
+});
+
+test("decodes the cutter error from bit 3 of the error status", () => {
+	const status = decodeStatusBytes({ ...IDLE, error: 0x1a });
+	assert.equal(status.cutterError, true);
+	assert.equal(status.unrecoverableError, false);
+	// Bit 2 is reserved, not the cutter
+	assert.equal(decodeStatusBytes({ ...IDLE, error: 0x16 }).cutterError, false);
+	assert.equal(
+		decodeStatusBytes({ ...IDLE, error: 0x72 }).autoRecoverableError,
+		true
+	);
+});
+
+test("decodes offline, cover, drawer and paper bits", () => {
+	const status = decodeStatusBytes({
+		printer: 0x1e, // Offline, drawer pin 3 high
+		offline: 0x36, // Cover open, paper end stop
+		error: 0x32, // Unrecoverable error
+		paper: 0x7e, // Near end and roll end sensors
+	});
+	assert.equal(status.offline, true);
+	assert.equal(status.drawerOpen, true);
+	assert.equal(status.coverOpen, true);
+	assert.equal(status.paperOut, true);
+	assert.equal(status.paperNearEnd, true);
+	assert.equal(status.unrecoverableError, true);
+	assert.equal(status.cutterError, false);
+});
+
+test("rejects bytes that are not DLE EOT answers", () => {
+	assert.throws(
+		() => decodeStatusBytes({ ...IDLE, paper: undefined }),
+		/\(none\)/
+	);
+	assert.throws(() => decodeStatusBytes({ ...IDLE, printer: 0x80 }), /0x80/);
+});
@@ -0,0 +1,57 @@
+// test/standard-receipt.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateStandardReceipt } from "../src/templates/standardReceipt.js";
+import { resolvePaperProfile } from "../src/paper-profiles.js";
+import { barcodeToSvg } from "../src/barcode-svg.js";
+
+const invoiceCommands = (profile, invoiceCode) =>
+	generateStandardReceipt(
+		{ invoiceNumber: "INV-2025-000123", invoiceCode },
+		{ paper: resolvePaperProfile(profile) }
+	).filter((cmd) => cmd.type === "barcode" || cmd.type === "qr");
+
+test("sizes the CODE128 modules to the printable width", () => {
+	// 15 characters in code set B: 200 modules plus quiet zones; 3 dots each is 660
+	const [barcode] = invoiceCommands("80MM_512", "BARCODE");
+	assert.equal(barcode.type, "barcode");
+	assert.equal(barcode.width, 2);
+	assert.equal(
+		invoiceCommands({ profile: "80MM", margins: { left: 160 } }, "BARCODE")[0]
+			.type,
+		"qr"
+	);
+});
+
+test("prints a QR code when the barcode does not fit 58mm paper", () => {
+	assert.deepEqual(
+		invoiceCommands("58MM", "BARCODE").map((cmd) => cmd.type),
+		["qr"]
+	);
+	const both = generateStandardReceipt(
+		{ invoiceNumber: "INV-2025-000123", invoiceCode: "BOTH" },
+		{ paper: resolvePaperProfile("58MM") }
+	);
+	assert.equal(both.filter((cmd) => cmd.type === "qr").length, 1);
+	assert.ok(
+		both.some(
+			(cmd) => cmd.type === "println" && cmd.content === "INV-2025-000123"
+		)
+	);
+});
+
+test("uses the paper profile's columns as they are", () => {
+	const receipt = generateStandardReceipt(
+		{},
+		{ paper: resolvePaperProfile({ profile: "58MM", margins: { left: 48 } }) }
+	);
+	assert.equal(
+		receipt.find((cmd) => cmd.content?.startsWith("-")).content,
+		"-".repeat(28)
+	);
+});
+
+test("previews CODE128 with the modules the printer gets", () => {
+	const svg = barcodeToSvg("INV-2025-000123", { width: 2, height: 60 });
+	assert.match(svg, /^<svg width="400" height="60"/);
+});
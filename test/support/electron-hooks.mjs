@@ -0,0 +1,9 @@
+// test/support/electron-hooks.mjs
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier === "electron")
+		return {
+			url: new URL("./electron.mjs", import.meta.url).href,
+			shortCircuit: true,
+		};
+	return nextResolve(specifier, context);
+}
@@ -0,0 +1,25 @@
+// test/support/electron.mjs
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Stands in for the "electron" module when tests run under plain Node. Only app.getPath
+// works (a fresh temp folder for userData); windows are not available in tests.
+const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pos-bridge-test-"));
+
+export const app = {
+	getPath: () => userDataDir,
+	on() {},
+};
+
+export class BrowserWindow {
+	constructor() {
+		throw new Error("BrowserWindow is not available in tests.");
+	}
+}
+
+export const session = {};
+export const nativeImage = {};
+export const ipcMain = {};
+export const dialog = {};
+export default { app, BrowserWindow, session, nativeImage, ipcMain, dialog };
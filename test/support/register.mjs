@@ -0,0 +1,5 @@
+// test/support/register.mjs
+import { register } from "node:module";
+
+// node --import ./test/support/register.mjs: resolves "electron" to test/support/electron.mjs
+register("./electron-hooks.mjs", import.meta.url);
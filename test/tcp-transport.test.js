@@ -0,0 +1,140 @@
+// test/tcp-transport.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { sendBufferOverTcp } from "../src/tcp-transport.js";
+
+// Stand-in printer on a free local port. Collects what each connection sent;
+// with closeAfterFin false it keeps its side open, as many network printers do.
+async function startStandIn({ closeAfterFin = true } = {}) {
+	const received = [];
+	const sockets = new Set();
+	const server = net.createServer(
+		{ allowHalfOpen: !closeAfterFin },
+		(socket) => {
+			sockets.add(socket);
+			socket.on("close", () => sockets.delete(socket));
+			const chunks = [];
+			socket.on("data", (chunk) => chunks.push(chunk));
+			socket.on("end", () => received.push(Buffer.concat(chunks)));
+		}
+	);
+	server.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	return {
+		port: server.address().port,
+		received,
+		close: () => {
+			for (const socket of sockets) socket.destroy();
+			return new Promise((resolve) => server.close(resolve));
+		},
+	};
+}
+
+const ticket = (size) =>
+	Buffer.from(Array.from({ length: size }, (_, index) => index % 251));
+
+test("delivers every byte to a printer that closes after our FIN", async () => {
+	const standIn = await startStandIn();
+	try {
+		const buffer = ticket(100);
+		const result = await sendBufferOverTcp("127.0.0.1", standIn.port, buffer);
+		assert.equal(result.bytesSent, buffer.length);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		assert.deepEqual(standIn.received, [buffer]);
+	} finally {
+		await standIn.close();
+	}
+});
+
+test("resolves without waiting for a printer that never closes", async () => {
+	const standIn = await startStandIn({ closeAfterFin: false });
+	try {
+		const buffer = ticket(100);
+		const started = Date.now();
+		const result = await sendBufferOverTcp("127.0.0.1", standIn.port, buffer, {
+			writeTimeout: 500,
+		});
+		assert.equal(result.bytesSent, buffer.length);
+		assert.ok(Date.now() - started < 500, "resolved before the write timeout");
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		assert.deepEqual(standIn.received, [buffer]);
+	} finally {
+		await standIn.close();
+	}
+});
+
+test("sends large tickets in full across several chunks", async () => {
+	const standIn = await startStandIn({ closeAfterFin: false });
+	try {
+		const buffer = ticket(256 * 1024);
+		const result = await sendBufferOverTcp("127.0.0.1", standIn.port, buffer);
+		assert.equal(result.bytesSent, buffer.length);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		assert.ok(standIn.received[0].equals(buffer));
+	} finally {
+		await standIn.close();
+	}
+});
+
+test("rejects when nothing listens on the port", async () => {
+	const standIn = await startStandIn();
+	const { port } = standIn;
+	await standIn.close();
+	await assert.rejects(
+		sendBufferOverTcp("127.0.0.1", port, ticket(10)),
+		(error) => {
+			assert.match(error.message, /ECONNREFUSED/);
+			assert.equal(error.bytesSent, 0);
+			assert.equal(error.retryable, true);
+			return true;
+		}
+	);
+});
+
+test("marks errors after the connection was up as not retryable", async () => {
+	const server = net.createServer((socket) =>
+		socket.once("data", () => socket.resetAndDestroy())
+	);
+	server.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	try {
+		await assert.rejects(
+			sendBufferOverTcp("127.0.0.1", server.address().port, ticket(1 << 22)),
+			(error) => {
+				assert.equal(error.retryable, false);
+				return true;
+			}
+		);
+	} finally {
+		await new Promise((resolve) => server.close(resolve));
+	}
+});
+
+test("stops waiting for 'drain' when a stalled printer times out", async () => {
+	const server = net.createServer((socket) => socket.pause()); // Never reads
+	server.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	const sockets = [];
+	const { once } = net.Socket.prototype;
+	net.Socket.prototype.once = function (event, listener) {
+		if (event === "drain") sockets.push(this);
+		return once.call(this, event, listener);
+	};
+	try {
+		await assert.rejects(
+			sendBufferOverTcp("127.0.0.1", server.address().port, ticket(1 << 24), {
+				writeTimeout: 300,
+			}),
+			/Write timeout/
+		);
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.ok(sockets.length > 0, "the write loop waited for 'drain'");
+		for (const socket of sockets)
+			assert.equal(socket.listenerCount("drain"), 0);
+	} finally {
+		net.Socket.prototype.once = once;
+		server.close();
+		await new Promise((resolve) => setTimeout(resolve, 50));
+	}
+});
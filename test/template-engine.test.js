@@ -0,0 +1,131 @@
+// test/template-engine.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	TEMPLATE_FORMATTERS,
+	renderDeclarativeTemplate,
+	validateDeclarativeTemplate,
+} from "../src/template-engine.js";
+import { resolvePaperProfile } from "../src/paper-profiles.js";
+
+const render = (commands, data, paper) =>
+	renderDeclarativeTemplate({ commands }, data, { paper });
+
+test("chains formatters and keeps the type of a single expression", () => {
+	assert.deepEqual(
+		render(
+			[
+				{
+					type: "println",
+					content: "{{ storeName | default:'BAR' | uppercase }}",
+				},
+				{ type: "println", content: "{{ total | currency:'AED ':2 }}" },
+				{ type: "println", content: "#{{ orderNumber | padStart:4:'0' }}" },
+				{ type: "feed", lines: "{{ feedLines }}" },
+			],
+			{ total: "12.5", orderNumber: 7, feedLines: 3 }
+		),
+		[
+			{ type: "println", content: "BAR" },
+			{ type: "println", content: "AED 12.50" },
+			{ type: "println", content: "#0007" },
+			{ type: "feed", lines: 3 },
+		]
+	);
+	assert.equal(
+		TEMPLATE_FORMATTERS.date(
+			new Date(2025, 4, 15, 21, 5),
+			"DD-MMM-YYYY h:mm a"
+		),
+		"15-May-2025 9:05 pm"
+	);
+	assert.throws(
+		() => render([{ type: "text", content: "{{ a | nope }}" }], {}),
+		/Unknown formatter 'nope'/
+	);
+});
+
+test("renders if/else blocks, with empty arrays as false", () => {
+	const commands = [
+		{
+			if: "customerName",
+			then: [{ type: "println", content: "Customer: {{ customerName }}" }],
+			else: [{ type: "println", content: "Walk-in" }],
+		},
+		{ if: "!notes", then: [{ type: "println", content: "No notes" }] },
+	];
+	assert.deepEqual(
+		render(commands, { customerName: "Sara", notes: [] }).map(
+			(cmd) => cmd.content
+		),
+		["Customer: Sara", "No notes"]
+	);
+	assert.deepEqual(
+		render(commands, { notes: ["x"] }).map((cmd) => cmd.content),
+		["Walk-in"]
+	);
+});
+
+test("renders each blocks with the alias and loop variables", () => {
+	const commands = [
+		{
+			each: "order.items",
+			as: "line",
+			do: [
+				{
+					type: "println",
+					content:
+						"{{ loop.number }}/{{ line.qty }} {{ line.name | uppercase }}{{ loop.last }}",
+				},
+			],
+		},
+	];
+	assert.deepEqual(
+		render(commands, {
+			order: {
+				items: [
+					{ qty: 2, name: "tea" },
+					{ qty: 1, name: "cake" },
+				],
+			},
+		}).map((cmd) => cmd.content),
+		["1/2 TEAfalse", "2/1 CAKEtrue"]
+	);
+});
+
+test("exposes the paper profile to templates", () => {
+	const [separator] = render(
+		[{ type: "println", content: "{{ '-' | repeat:paper.columns }}" }],
+		{},
+		resolvePaperProfile("58MM")
+	);
+	assert.equal(separator.content, "-".repeat(32));
+});
+
+test("escapes values in HTML templates", () => {
+	assert.equal(
+		renderDeclarativeTemplate(
+			{
+				html: ["<ul>", { each: "items", do: ["<li>{{ item }}</li>"] }, "</ul>"],
+			},
+			{ items: ["<b>", "A&B"] }
+		),
+		"<ul><li>&lt;b&gt;</li><li>A&amp;B</li></ul>"
+	);
+});
+
+test("reports unknown command types and malformed blocks", () => {
+	assert.deepEqual(
+		validateDeclarativeTemplate({ commands: [{ type: "cut" }] }),
+		[]
+	);
+	assert.deepEqual(
+		validateDeclarativeTemplate({
+			commands: [{ type: "dance" }, { each: "items", do: {} }],
+		}),
+		[
+			"commands[0]: unknown command type 'dance'.",
+			"commands[1].do: expected an array.",
+		]
+	);
+});